@@ -6,32 +6,56 @@
  * for working with the composition pattern implementation.
  */
 
-import React, { useState } from 'react';
+import { useMemo, useState } from 'react';
 import { ComposerProvider } from './ComposerContext';
-import { useComposer } from './ComposerContextValue';
-import { useReduxComposerState } from './advancedHooks';
+import { useComposer, useComposerSelector, useComposerActions } from './ComposerContextValue';
+import { ComposerManagerProvider } from './ComposerManagerProvider';
+import { useComposerManager, useFocusedComposerId, useUnsentDrafts } from './ComposerManagerContextValue';
+import {
+  composersReducer,
+  createReducerStore,
+  createReduxComposerAdapter,
+} from './composerStore';
 import {
   ComposerContainer,
   ComposerInput,
   ComposerFooter,
   ComposerActions,
   ComposerButton,
+  ComposerFormatButton,
   ComposerAttachments,
 } from './ComposerComponents';
+import { ComposerMessagePreview } from './ComposerMessagePreview';
+import { ComposerCharacterCounter, ComposerStats } from './ComposerStats';
+import { trimWhitespacePlugin } from './composerPlugins';
+import { emojiShortcodesPlugin } from './emoji';
+import { useComposerWithTypingIndicator } from './advancedHooks';
 
 // ============================================================
 // PATTERN 1: Custom State Management Integration
 // ============================================================
 
+// Stand-in for the app's Redux store: composer drafts live under `composers`,
+// keyed by composer id, next to whatever else the app keeps there.
+const exampleAppStore = createReducerStore((state = {}, action) => ({
+  composers: composersReducer(state.composers, action),
+}));
+
 /**
- * Example: Using a custom state hook instead of useState
- * This demonstrates how the provider can work with any state management solution.
+ * Example: Keeping composer state in an app-level store
+ * This demonstrates how the provider can work with any state management solution:
+ * the adapter scopes a Redux-style store to one composer instance.
  */
-export function ReduxComposerExample({ onSubmit }) {
+export function ReduxComposerExample({ onSubmit, appStore = exampleAppStore, composerId = 'redux-example' }) {
+  const store = useMemo(
+    () => createReduxComposerAdapter(appStore, composerId),
+    [appStore, composerId]
+  );
+
   return (
     <ComposerProvider
       onSubmit={onSubmit}
-      useStateFn={useReduxComposerState}
+      store={store}
     >
       <ComposerContainer>
         <ComposerInput />
@@ -39,7 +63,7 @@ export function ReduxComposerExample({ onSubmit }) {
           <ComposerActions>
             <ComposerButton>Redux State</ComposerButton>
           </ComposerActions>
-          <ComposerButton variant="primary">Send</ComposerButton>
+          <DefaultActions />
         </ComposerFooter>
       </ComposerContainer>
     </ComposerProvider>
@@ -71,12 +95,13 @@ export function ComposerWithRenderProps({ onSubmit, renderActions }) {
 }
 
 function DefaultActions() {
-  const { submit, content } = useComposer();
+  const { submit } = useComposerActions();
+  const canSubmit = useComposerSelector((state) => state.canSubmit);
   return (
     <ComposerButton
       variant="primary"
       onClick={() => submit()}
-      disabled={!content.trim()}
+      disabled={!canSubmit}
     >
       Send
     </ComposerButton>
@@ -92,9 +117,13 @@ function DefaultActions() {
  * This shows the power of composition - elements can be scattered
  * throughout the tree but still access shared state.
  */
+// The preview applies the same transforms the message gets on submit
+const sidePanelPlugins = [trimWhitespacePlugin, emojiShortcodesPlugin];
+const sidePanelLimits = { soft: 450, hard: 500 };
+
 export function ComposerWithSidePanel({ onSubmit }) {
   return (
-    <ComposerProvider onSubmit={onSubmit}>
+    <ComposerProvider onSubmit={onSubmit} plugins={sidePanelPlugins} limits={sidePanelLimits}>
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 250px', gap: '16px' }}>
         <ComposerContainer>
           <ComposerInput />
@@ -103,6 +132,7 @@ export function ComposerWithSidePanel({ onSubmit }) {
             <ComposerActions>
               <FormattingTools />
             </ComposerActions>
+            <ComposerCharacterCounter />
             <ComposerButton variant="primary">Send</ComposerButton>
           </ComposerFooter>
         </ComposerContainer>
@@ -114,19 +144,21 @@ export function ComposerWithSidePanel({ onSubmit }) {
   );
 }
 
+// A hand-picked subset of the formats - ComposerFormattingToolbar
+// renders all of them
 function FormattingTools() {
   return (
     <>
-      <ComposerButton title="Bold">B</ComposerButton>
-      <ComposerButton title="Italic">I</ComposerButton>
-      <ComposerButton title="Code">`</ComposerButton>
+      <ComposerFormatButton format="bold" />
+      <ComposerFormatButton format="italic" />
+      <ComposerFormatButton format="code" />
+      <ComposerFormatButton format="bulletList" />
+      <ComposerFormatButton format="link" />
     </>
   );
 }
 
 function ComposerSidePanel() {
-  const { content, attachments } = useComposer();
-
   return (
     <div
       style={{
@@ -139,28 +171,12 @@ function ComposerSidePanel() {
     >
       <h4 style={{ margin: '0 0 8px 0' }}>Message Preview</h4>
 
-      {content ? (
-        <p style={{ margin: '8px 0', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
-          {content}
-        </p>
-      ) : (
-        <p style={{ margin: '8px 0', color: '#999', fontStyle: 'italic' }}>
-          No content yet
-        </p>
-      )}
+      <ComposerMessagePreview />
 
       <hr style={{ margin: '8px 0', border: 'none', borderTop: '1px solid #ddd' }} />
 
       <p style={{ margin: '0 0 4px 0', fontWeight: 'bold' }}>Stats:</p>
-      <p style={{ margin: '0', color: '#666' }}>
-        Characters: {content.length}
-      </p>
-      <p style={{ margin: '0', color: '#666' }}>
-        Words: {content.split(/\s+/).filter(Boolean).length}
-      </p>
-      <p style={{ margin: '0', color: '#666' }}>
-        Files: {attachments.length}
-      </p>
+      <ComposerStats />
     </div>
   );
 }
@@ -180,58 +196,149 @@ function ComposerSidePanel() {
 /**
  * Example: Nesting multiple composers with different contexts
  * Shows that the pattern supports complex hierarchies.
+ *
+ * The ComposerManagerProvider knows both composers by id: the thread
+ * composer keeps a draft per thread while you switch between them, the
+ * thread's "Quote channel draft" reaches the channel composer with
+ * useComposer('channel'), and drafts not sent yet are listed below.
  */
 export function ParentComposerWithNestedReply({ onSendMessage, onReplyToThread }) {
   const [selectedThreadId, setSelectedThreadId] = useState(null);
 
   return (
-    <div style={{ display: 'flex', gap: '16px' }}>
-      {/* Main composer */}
-      <div style={{ flex: 1 }}>
-        <h3>Main Channel</h3>
-        <ComposerProvider onSubmit={onSendMessage}>
-          <ComposerContainer>
-            <ComposerInput placeholder="Message the channel..." />
-            <ComposerFooter>
-              <ComposerButton variant="primary">Send</ComposerButton>
-            </ComposerFooter>
-          </ComposerContainer>
-        </ComposerProvider>
-      </div>
-
-      {/* Nested thread reply composer */}
-      {selectedThreadId && (
+    <ComposerManagerProvider>
+      <div style={{ display: 'flex', gap: '16px' }}>
+        {/* Main composer */}
         <div style={{ flex: 1 }}>
-          <h3>Thread Reply</h3>
-          <ComposerProvider onSubmit={onReplyToThread}>
-            <ComposerContainer style={{ backgroundColor: '#f0f0f0' }}>
-              <ComposerInput placeholder="Reply in thread..." />
+          <h3>Main Channel</h3>
+          <ComposerProvider composerId="channel" onSubmit={onSendMessage}>
+            <ComposerContainer>
+              <ComposerInput placeholder="Message the channel..." />
               <ComposerFooter>
-                <ComposerButton onClick={() => setSelectedThreadId(null)}>
-                  Close
-                </ComposerButton>
-                <ComposerButton variant="primary">Reply</ComposerButton>
+                <FocusedComposerLabel />
+                <SendButton>Send</SendButton>
               </ComposerFooter>
             </ComposerContainer>
           </ComposerProvider>
         </div>
-      )}
-
-      {!selectedThreadId && (
-        <button
-          onClick={() => setSelectedThreadId('thread-1')}
-          style={{
-            padding: '8px 12px',
-            backgroundColor: '#007a5e',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer',
-          }}
-        >
-          Open Thread
-        </button>
-      )}
+
+        {/* Nested thread reply composer - one provider, a draft per thread */}
+        <div style={{ flex: 1 }}>
+          <h3>Thread Reply</h3>
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+            {NESTED_REPLY_THREADS.map((threadId) => (
+              <button
+                key={threadId}
+                onClick={() => setSelectedThreadId(threadId)}
+                aria-pressed={threadId === selectedThreadId}
+                style={{
+                  padding: '4px 8px',
+                  backgroundColor: threadId === selectedThreadId ? '#007a5e' : 'white',
+                  color: threadId === selectedThreadId ? 'white' : '#333',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                }}
+              >
+                {threadId}
+              </button>
+            ))}
+          </div>
+          {selectedThreadId && (
+            <ComposerProvider
+              composerId={`thread:${selectedThreadId}`}
+              onSubmit={(data) => onReplyToThread({ threadId: selectedThreadId, ...data })}
+            >
+              <ComposerContainer style={{ backgroundColor: '#f0f0f0' }}>
+                <ComposerInput placeholder={`Reply in ${selectedThreadId}...`} />
+                <ComposerFooter>
+                  <ComposerActions>
+                    <ComposerButton onClick={() => setSelectedThreadId(null)}>
+                      Close
+                    </ComposerButton>
+                    <QuoteChannelDraftButton />
+                  </ComposerActions>
+                  <SendButton>Reply</SendButton>
+                </ComposerFooter>
+              </ComposerContainer>
+            </ComposerProvider>
+          )}
+        </div>
+      </div>
+
+      <UnsentDraftsList
+        onOpen={(composerId) => {
+          if (composerId.startsWith('thread:')) setSelectedThreadId(composerId.slice('thread:'.length));
+        }}
+      />
+    </ComposerManagerProvider>
+  );
+}
+
+const NESTED_REPLY_THREADS = ['thread-1', 'thread-2', 'thread-3'];
+
+function SendButton({ children }) {
+  const { submit } = useComposerActions();
+  const canSubmit = useComposerSelector((state) => state.canSubmit);
+
+  return (
+    <ComposerButton variant="primary" onClick={() => submit()} disabled={!canSubmit}>
+      {children}
+    </ComposerButton>
+  );
+}
+
+// useComposer() would reach this thread's own composer; with an id it
+// reaches the channel's
+function QuoteChannelDraftButton() {
+  const channelComposer = useComposer('channel');
+  const { insertAtCursor } = useComposerActions();
+  const channelDraft = channelComposer?.content.trim() ?? '';
+
+  return (
+    <ComposerButton
+      onClick={() => insertAtCursor(`${channelDraft.replace(/^/gm, '> ')}\n`)}
+      disabled={!channelDraft}
+    >
+      Quote channel draft
+    </ComposerButton>
+  );
+}
+
+function FocusedComposerLabel() {
+  const focusedId = useFocusedComposerId();
+
+  return (
+    <span style={{ fontSize: '12px', color: '#999' }}>
+      {focusedId ? `Typing in ${focusedId}` : 'No composer focused'}
+    </span>
+  );
+}
+
+function UnsentDraftsList({ onOpen }) {
+  const drafts = useUnsentDrafts();
+  const { discardDraft } = useComposerManager();
+
+  if (drafts.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: '12px', fontSize: '12px' }}>
+      <h4 style={{ margin: '0 0 4px 0' }}>Unsent drafts</h4>
+      <ul style={{ margin: 0, paddingLeft: '16px' }}>
+        {drafts.map(({ id, draft, isMounted }) => (
+          <li key={id}>
+            <strong>{id}</strong>: {draft.content.slice(0, 40) || `${draft.attachments.length} file(s)`}
+            {!isMounted && (
+              <button onClick={() => onOpen(id)} style={{ marginLeft: '8px' }}>
+                Open
+              </button>
+            )}
+            <button onClick={() => discardDraft(id)} style={{ marginLeft: '8px' }}>
+              Discard
+            </button>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
@@ -242,14 +349,23 @@ export function ParentComposerWithNestedReply({ onSendMessage, onReplyToThread }
 
 /**
  * See advancedHooks.js for useComposerWithTypingIndicator hook
+ *
+ * `presence` ({ transport, conversationId, user }, optional) reports this
+ * composer's typing and shows who else is typing in the conversation.
  */
 
-export function ComposerWithTypingIndicator({ onSubmit, onTyping }) {
+export function ComposerWithTypingIndicator({ onSubmit, presence }) {
   return (
-    <ComposerProvider onSubmit={onSubmit}>
+    <ComposerProvider onSubmit={onSubmit} presence={presence}>
       <ComposerContainer>
         <ComposerInput />
-        <TypingIndicator onTypingChange={onTyping} />
+        {presence?.transport && (
+          <TypingIndicator
+            transport={presence.transport}
+            conversationId={presence.conversationId}
+            currentUserId={presence.user?.id}
+          />
+        )}
         <ComposerFooter>
           <ComposerButton variant="primary">Send</ComposerButton>
         </ComposerFooter>
@@ -258,13 +374,12 @@ export function ComposerWithTypingIndicator({ onSubmit, onTyping }) {
   );
 }
 
-function TypingIndicator({ onTypingChange }) {
-  const { content } = useComposer();
-  const isTyping = content.length > 0;
-
-  React.useEffect(() => {
-    onTypingChange?.(isTyping);
-  }, [isTyping, onTypingChange]);
+function TypingIndicator(props) {
+  const { typingLabel } = useComposerWithTypingIndicator(props);
 
-  return null; // Invisible component, just handles side effects
+  return (
+    <div aria-live="polite" style={{ minHeight: '16px', fontSize: '12px', color: '#666' }}>
+      {typingLabel}
+    </div>
+  );
 }
@@ -1,4 +1,21 @@
-import { useComposer } from './ComposerContextValue';
+import { useEffect, useRef, useState } from 'react';
+import { useComposerSelector, useComposerActions } from './ComposerContextValue';
+import {
+  FORMATS,
+  FORMAT_SHORTCUTS,
+  isFormatActive,
+  toggleFormat,
+} from './markdownFormatting';
+import { formatKeyCombo } from './composerKeymap';
+import { formatFileSize, getFileIcon, getTransferFiles, isFileDrag } from './attachments';
+import { UPLOAD_STATUS } from './uploads';
+import { LIMIT_LEVELS } from './textStats';
+
+const selectContent = (state) => state.content;
+const selectAttachments = (state) => state.attachments;
+const selectAttachmentErrors = (state) => state.attachmentErrors;
+const selectIsSubmitting = (state) => state.isSubmitting;
+const selectIsOverLimit = (state) => state.limitStatus.level === LIMIT_LEVELS.OVER;
 
 /**
  * ComposerInput - Internal component that demonstrates context consumption
@@ -8,22 +25,56 @@ import { useComposer } from './ComposerContextValue';
  * 
  * This shows how composition allows child components to be "smart" about
  * accessing what they need without prop drilling.
+ * 
+ * The textarea registers itself with the provider and reports its
+ * selection, which is how focus() and the selection-aware edits
+ * (insertAtCursor, wrapSelection, ...) reach it. Its keys go through the
+ * provider's keymap (Enter sends, Shift+Enter adds a line, Escape cancels,
+ * Ctrl/Cmd+Z undoes, ...), see composerKeymap.js.
+ *
+ * Pasted files (a screenshot, a copied image) become attachments, unless
+ * `allowFilePaste` is false.
+ *
+ * Past the provider's hard length limit it is highlighted as invalid.
+ * While a message is sending it is read-only rather than disabled, so
+ * the focus stays in the field after Enter sends.
  */
-export function ComposerInput({ placeholder = 'Type a message...', className = '' }) {
-  const { content, updateContent, isSubmitting } = useComposer();
+export function ComposerInput({ placeholder = 'Type a message...', className = '', allowFilePaste = true }) {
+  const content = useComposerSelector(selectContent);
+  const isSubmitting = useComposerSelector(selectIsSubmitting);
+  const isOverLimit = useComposerSelector(selectIsOverLimit);
+  const { updateContent, registerInput, setSelection, handleKeyDown, handleFocus, handleBlur, addFiles } = useComposerActions();
+
+  const handlePaste = (e) => {
+    const files = getTransferFiles(e.clipboardData);
+    if (!allowFilePaste || isSubmitting || files.length === 0) return;
+    // Keep the image's file name or alt text out of the message
+    e.preventDefault();
+    addFiles(files);
+  };
 
   return (
     <textarea
+      ref={registerInput}
       value={content}
       onChange={(e) => updateContent(e.target.value)}
+      onSelect={(e) => setSelection(e.target.selectionStart, e.target.selectionEnd)}
+      onKeyDown={isSubmitting ? undefined : handleKeyDown}
+      onFocus={handleFocus}
+      onBlur={handleBlur}
+      onPaste={handlePaste}
       placeholder={placeholder}
-      disabled={isSubmitting}
+      readOnly={isSubmitting}
+      aria-busy={isSubmitting || undefined}
+      aria-invalid={isOverLimit || undefined}
       className={`composer-input ${className}`}
       style={{
         width: '100%',
         padding: '12px',
         fontSize: '14px',
-        border: '1px solid #ddd',
+        border: isOverLimit ? '1px solid #d32f2f' : '1px solid #ddd',
+        backgroundColor: isOverLimit ? '#fff5f5' : undefined,
+        color: isSubmitting ? '#999' : undefined,
         borderRadius: '6px',
         fontFamily: 'inherit',
         resize: 'vertical',
@@ -91,7 +142,7 @@ export function ComposerButton({
   variant = 'secondary',
   ...props
 }) {
-  const { isSubmitting } = useComposer();
+  const isSubmitting = useComposerSelector(selectIsSubmitting);
   
   const baseStyle = {
     padding: '8px 12px',
@@ -136,69 +187,455 @@ export function ComposerButton({
   );
 }
 
+/**
+ * ComposerFormatButton - Toggles one markdown format on the selection
+ * 
+ * Shows as pressed while the format is active at the caret. Only this
+ * button re-renders when that flips, not the whole toolbar.
+ */
+export function ComposerFormatButton({ format, children, ...props }) {
+  const active = useComposerSelector((state) => isFormatActive(state.content, state.selection, format));
+  const { applyEdit } = useComposerActions();
+  const { label, icon } = FORMATS[format];
+  const shortcut = FORMAT_SHORTCUTS[format];
+
+  return (
+    <ComposerButton
+      variant={active ? 'primary' : 'secondary'}
+      onClick={() => applyEdit((content, selection) => toggleFormat(content, selection, format))}
+      title={shortcut ? `${label} (${formatKeyCombo(shortcut)})` : label}
+      aria-label={label}
+      aria-pressed={active}
+      {...props}
+    >
+      {children ?? icon}
+    </ComposerButton>
+  );
+}
+
+const DEFAULT_TOOLBAR_FORMATS = Object.keys(FORMATS);
+
+/**
+ * ComposerFormattingToolbar - A ready-made row of format buttons
+ * 
+ * Pass `formats` to pick (and order) the buttons, or compose
+ * ComposerFormatButtons yourself for anything more custom.
+ */
+export function ComposerFormattingToolbar({ formats = DEFAULT_TOOLBAR_FORMATS, className = '' }) {
+  return (
+    <div
+      role="toolbar"
+      aria-label="Formatting"
+      className={`composer-formatting-toolbar ${className}`}
+      style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}
+    >
+      {formats.map((format) => (
+        <ComposerFormatButton key={format} format={format} />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * ComposerSuggestionList - Popover list for autocomplete (mentions, emoji)
+ * 
+ * Purely presentational: the keyboard handling lives in useAutocomplete
+ * (autocomplete.js). Options keep the textarea focused when clicked, so
+ * typing carries on after a pick.
+ */
+export function ComposerSuggestionList({
+  items,
+  activeIndex,
+  onChoose,
+  onHighlight,
+  renderItem,
+  getKey = (item) => item.id,
+  loading = false,
+  emptyText = 'No matches',
+  label,
+}) {
+  return (
+    <div style={{ position: 'relative', height: 0 }}>
+      <ul
+        role="listbox"
+        aria-label={label}
+        style={{
+          position: 'absolute',
+          top: '4px',
+          left: 0,
+          zIndex: 10,
+          minWidth: '220px',
+          maxHeight: '240px',
+          overflowY: 'auto',
+          margin: 0,
+          padding: '4px',
+          listStyle: 'none',
+          backgroundColor: 'white',
+          border: '1px solid #ddd',
+          borderRadius: '6px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+          fontSize: '14px',
+        }}
+      >
+        {items.map((item, index) => (
+          <li
+            key={getKey(item)}
+            role="option"
+            aria-selected={index === activeIndex}
+            onMouseDown={(e) => e.preventDefault()}
+            onMouseEnter={() => onHighlight?.(index)}
+            onClick={() => onChoose(item)}
+            style={{
+              padding: '6px 8px',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              backgroundColor: index === activeIndex ? '#e8f5f1' : 'transparent',
+            }}
+          >
+            {renderItem(item)}
+          </li>
+        ))}
+        {items.length === 0 && (
+          <li style={{ padding: '6px 8px', color: '#999' }}>
+            {loading ? 'Searching…' : emptyText}
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+const plainButtonStyle = {
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0,
+  fontSize: '12px',
+  color: 'inherit',
+};
+
 /**
  * ComposerAttachments - Display area for attachments
  * 
  * Demonstrates how composition allows for flexible display of data
  * managed by the provider, without conditional logic in parent components.
+ * 
+ * Also lists the files that were left out for exceeding the composer's
+ * attachment limits. Each attachment shows a thumbnail (images and videos)
+ * or a file-type icon, its size, an optional caption and its upload's
+ * progress with Cancel, or Retry when it failed. Attachments are
+ * reordered by dragging them, or with Alt+Arrow keys when focused.
  */
 export function ComposerAttachments({ className = '' }) {
-  const { attachments, removeAttachment } = useComposer();
+  const attachments = useComposerSelector(selectAttachments);
+  const attachmentErrors = useComposerSelector(selectAttachmentErrors);
+  const { clearAttachmentErrors, reorderAttachments } = useComposerActions();
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const listRef = useRef(null);
+  // The attachment moved with the keyboard keeps the focus once re-rendered
+  const focusAfterMoveRef = useRef(null);
+
+  useEffect(() => {
+    const id = focusAfterMoveRef.current;
+    if (id === null) return;
+    focusAfterMoveRef.current = null;
+    [...(listRef.current?.children ?? [])].find((item) => item.dataset.attachmentId === String(id))?.focus();
+  }, [attachments]);
+
+  if (attachments.length === 0 && attachmentErrors.length === 0) return null;
+
+  const moveWithKeyboard = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= attachments.length) return;
+    focusAfterMoveRef.current = attachments[fromIndex].id;
+    reorderAttachments(fromIndex, toIndex);
+  };
 
-  if (attachments.length === 0) return null;
+  const endDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
 
   return (
     <div
       className={`composer-attachments ${className}`}
       style={{
         display: 'flex',
-        flexWrap: 'wrap',
+        flexDirection: 'column',
         gap: '8px',
         padding: '8px 0',
       }}
     >
-      {attachments.map((attachment) => (
+      {attachmentErrors.length > 0 && (
         <div
-          key={attachment.id}
+          role="alert"
           style={{
             display: 'flex',
-            alignItems: 'center',
             gap: '8px',
-            padding: '4px 8px',
-            backgroundColor: '#f5f5f5',
-            borderRadius: '4px',
+            alignItems: 'flex-start',
+            color: '#d32f2f',
             fontSize: '12px',
           }}
         >
-          <span>📎 {attachment.name}</span>
+          <ul style={{ margin: 0, paddingLeft: '16px', flex: 1 }}>
+            {attachmentErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
           <button
-            onClick={() => removeAttachment(attachment.id)}
-            style={{
-              background: 'none',
-              border: 'none',
-              cursor: 'pointer',
-              padding: 0,
-              fontSize: '14px',
-            }}
+            onClick={clearAttachmentErrors}
+            aria-label="Dismiss"
+            style={plainButtonStyle}
           >
             ✕
           </button>
         </div>
-      ))}
+      )}
+      {attachments.length > 0 && (
+        <div
+          ref={listRef}
+          role="list"
+          aria-label="Attachments"
+          style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}
+        >
+          {attachments.map((attachment, index) => (
+            <AttachmentItem
+              key={attachment.id}
+              attachment={attachment}
+              position={`${index + 1} of ${attachments.length}`}
+              reorderable={attachments.length > 1}
+              isDragged={index === dragIndex}
+              isDropTarget={index === dropIndex && index !== dragIndex}
+              onMove={(step) => moveWithKeyboard(index, index + step)}
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                // Firefox only starts a drag that carries some data
+                e.dataTransfer.setData('text/plain', attachment.name);
+                setDragIndex(index);
+              }}
+              onDragOver={(e) => {
+                // Only attachments being reordered; dropped files go to the container
+                if (dragIndex === null) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setDropIndex(index);
+              }}
+              onDrop={(e) => {
+                if (dragIndex === null) return;
+                e.preventDefault();
+                reorderAttachments(dragIndex, index);
+                endDrag();
+              }}
+              onDragEnd={endDrag}
+            />
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
+const MOVE_KEYS = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+
+// One attachment: thumbnail or icon, caption and upload. Only this item
+// re-renders on upload progress or while its caption is typed.
+function AttachmentItem({
+  attachment,
+  position,
+  reorderable,
+  isDragged,
+  isDropTarget,
+  onMove,
+  ...dragHandlers
+}) {
+  const upload = useComposerSelector((state) => state.uploads[attachment.id]);
+  const previewUrl = useComposerSelector((state) => state.previews[attachment.id]);
+  const { removeAttachment, cancelUpload, retryUpload, setAttachmentCaption } = useComposerActions();
+  const isUploading = upload?.status === UPLOAD_STATUS.QUEUED || upload?.status === UPLOAD_STATUS.UPLOADING;
+  const failed = upload?.status === UPLOAD_STATUS.FAILED;
+  const { missingFile } = attachment;
+
+  const handleKeyDown = (e) => {
+    // Not while typing the caption
+    if (e.target !== e.currentTarget || !e.altKey || !(e.key in MOVE_KEYS)) return;
+    e.preventDefault();
+    onMove(MOVE_KEYS[e.key]);
+  };
+
+  return (
+    <div
+      role="listitem"
+      data-attachment-id={attachment.id}
+      tabIndex={reorderable ? 0 : undefined}
+      draggable={reorderable}
+      aria-label={`${attachment.name}, ${position}`}
+      title={reorderable ? 'Drag, or press Alt+Arrow keys, to reorder' : undefined}
+      onKeyDown={reorderable ? handleKeyDown : undefined}
+      {...(reorderable ? dragHandlers : {})}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '4px',
+        width: '200px',
+        padding: '6px 8px',
+        backgroundColor: failed || missingFile ? '#fdecea' : '#f5f5f5',
+        border: `1px ${isDropTarget ? 'dashed #007a5e' : 'solid transparent'}`,
+        borderRadius: '4px',
+        fontSize: '12px',
+        opacity: isDragged ? 0.5 : 1,
+        cursor: reorderable ? 'grab' : 'default',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <AttachmentThumbnail attachment={attachment} url={previewUrl} />
+        <div style={{ display: 'flex', flexDirection: 'column', minWidth: 0, flex: 1 }}>
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {attachment.name}
+          </span>
+          {attachment.size !== undefined && (
+            <span style={{ color: '#999' }}>
+              {typeof attachment.size === 'number' ? formatFileSize(attachment.size) : attachment.size}
+            </span>
+          )}
+        </div>
+        {isUploading && (
+          <button onClick={() => cancelUpload(attachment.id)} style={plainButtonStyle}>
+            Cancel
+          </button>
+        )}
+        {failed && (
+          <button onClick={() => retryUpload(attachment.id)} style={{ ...plainButtonStyle, color: '#007a5e' }}>
+            Retry
+          </button>
+        )}
+        <button
+          onClick={() => removeAttachment(attachment.id)}
+          aria-label={`Remove ${attachment.name}`}
+          style={{ ...plainButtonStyle, fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+      {isUploading && (
+        <div
+          role="progressbar"
+          aria-label={`Uploading ${attachment.name}`}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(upload.progress * 100)}
+          style={{ height: '3px', backgroundColor: '#ddd', borderRadius: '2px', overflow: 'hidden' }}
+        >
+          <div
+            style={{
+              width: `${upload.progress * 100}%`,
+              height: '100%',
+              backgroundColor: '#007a5e',
+              transition: 'width 0.2s',
+            }}
+          />
+        </div>
+      )}
+      {failed && <span style={{ color: '#d32f2f' }}>{upload.error}</span>}
+      {missingFile && <span style={{ color: '#d32f2f' }}>Not kept with the draft - attach it again</span>}
+      <input
+        value={attachment.caption ?? ''}
+        onChange={(e) => setAttachmentCaption(attachment.id, e.target.value)}
+        placeholder="Add a caption"
+        aria-label={`Caption for ${attachment.name}`}
+        style={{
+          padding: '2px 4px',
+          fontSize: '12px',
+          border: '1px solid #ddd',
+          borderRadius: '3px',
+          backgroundColor: 'white',
+        }}
+      />
+    </div>
+  );
+}
+
+const thumbnailStyle = {
+  width: '40px',
+  height: '40px',
+  flexShrink: 0,
+  borderRadius: '3px',
+  objectFit: 'cover',
+};
+
+function AttachmentThumbnail({ attachment, url }) {
+  if (url && attachment.type.startsWith('image/')) {
+    return <img src={url} alt="" style={thumbnailStyle} />;
+  }
+  if (url && attachment.type.startsWith('video/')) {
+    return <video src={url} muted preload="metadata" style={thumbnailStyle} />;
+  }
+  return (
+    <span
+      aria-hidden="true"
+      style={{
+        ...thumbnailStyle,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'white',
+        fontSize: '20px',
+      }}
+    >
+      {getFileIcon(attachment)}
+    </span>
+  );
+}
+
 /**
  * ComposerContainer - Wrapper component
  * 
  * Provides basic layout structure for the composer components.
+ * 
+ * Files dragged over it show a drop zone and are attached when dropped,
+ * unless `allowFileDrop` is false.
  */
-export function ComposerContainer({ children, className = '' }) {
+export function ComposerContainer({ children, className = '', allowFileDrop = true }) {
+  const { addFiles } = useComposerActions();
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child crossed; count them so the
+  // overlay only goes away when the drag really leaves the container
+  const dragDepthRef = useRef(0);
+
+  const dropHandlers = allowFileDrop
+    ? {
+      onDragEnter: (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepthRef.current += 1;
+        setIsDragging(true);
+      },
+      onDragOver: (e) => {
+        if (!isFileDrag(e)) return;
+        // Required for the drop event to fire
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      },
+      onDragLeave: (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+        if (dragDepthRef.current === 0) setIsDragging(false);
+      },
+      onDrop: (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepthRef.current = 0;
+        setIsDragging(false);
+        addFiles(getTransferFiles(e.dataTransfer));
+      },
+    }
+    : {};
+
   return (
     <div
       className={`composer-container ${className}`}
+      {...dropHandlers}
       style={{
+        position: 'relative',
         display: 'flex',
         flexDirection: 'column',
         gap: '12px',
@@ -209,6 +646,28 @@ export function ComposerContainer({ children, className = '' }) {
       }}
     >
       {children}
+      {isDragging && (
+        <div
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            zIndex: 20,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: 'rgba(232, 245, 241, 0.9)',
+            border: '2px dashed #007a5e',
+            borderRadius: '8px',
+            color: '#007a5e',
+            fontWeight: '500',
+            // Let the drag events reach the container underneath
+            pointerEvents: 'none',
+          }}
+        >
+          Drop files to attach
+        </div>
+      )}
     </div>
   );
 }
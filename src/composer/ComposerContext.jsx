@@ -1,98 +1,675 @@
-import React, { useState, useCallback } from 'react';
-import { ComposerContext } from './ComposerContextValue';
+import React, {
+  useState,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useSyncExternalStore,
+} from 'react';
+import {
+  ComposerContext,
+  ComposerStateContext,
+  ComposerActionsContext,
+} from './ComposerContextValue';
+import { ComposerManagerContext } from './ComposerManagerContextValue';
+import { DEFAULT_VALIDATORS } from './validators';
+import { createDraftHistory, getTypingGroup } from './composerHistory';
+import { defaultDraftStorage, isEmptyDraft, useDraftPersistence } from './draftStorage';
+import {
+  createComposerStore,
+  createControlledComposerStore,
+  createReducerStore,
+  COMPOSER_ACTIONS,
+  EMPTY_DRAFT,
+} from './composerStore';
+import {
+  combineComposerState,
+  submissionReducer,
+  INITIAL_SUBMISSION,
+  SUBMISSION_ACTIONS,
+} from './composerState';
+import {
+  pluginStateReducer,
+  getInitialPluginState,
+  createPluginContext,
+  createActionsHandle,
+  bindPluginActions,
+  notifyPlugins,
+  runSubmitPipeline,
+  applyContentTransforms,
+  SUBMIT_HANDLED,
+} from './composerPlugins';
+import {
+  createInputRegistry,
+  resolveSelection,
+  replaceContentRange,
+  wrapContentRange,
+} from './composerInput';
+import { DEFAULT_KEYMAP, createKeyBindingRegistry, runKeyBinding } from './composerKeymap';
+import { createUploadManager } from './uploads';
+import { createLinkPreviewManager } from './linkPreviews';
+import { createTypingReporter } from './typingPresence';
+import {
+  attachmentErrorsReducer,
+  checkFiles,
+  createAttachment,
+  createPreviewStore,
+  ATTACHMENT_ERROR_ACTIONS,
+} from './attachments';
+
+const NO_PLUGINS = [];
+
+/**
+ * Dev-only warnings mirroring React's own for controlled inputs.
+ */
+function useControlledWarnings(isControlled, hasValue, hasChangeHandler) {
+  useEffect(() => {
+    if (!import.meta.env.DEV || isControlled === hasValue) return;
+    console.error(
+      isControlled
+        ? 'ComposerProvider is changing from controlled to uncontrolled: `value` became undefined. ' +
+          'Decide between a controlled and an uncontrolled composer for its whole lifetime ' +
+          '(pass an empty draft instead of undefined to clear it).'
+        : 'ComposerProvider is changing from uncontrolled to controlled: `value` was undefined on mount. ' +
+          'Decide between a controlled and an uncontrolled composer for its whole lifetime.'
+    );
+  }, [isControlled, hasValue]);
+
+  useEffect(() => {
+    if (!import.meta.env.DEV || !isControlled || hasChangeHandler) return;
+    console.error(
+      'ComposerProvider was given a `value` without an `onValueChange` handler, ' +
+      'so it will be read-only. Use `initialValue` for an uncontrolled composer.'
+    );
+  }, [isControlled, hasChangeHandler]);
+}
 
 /**
  * ComposerProvider - The core composition building block
  * 
  * This provider manages:
- * - Text content state
- * - Attachments
+ * - Text content state (uncontrolled, or controlled with value/onValueChange)
+ * - Attachments, including files picked, dropped or pasted within limits,
+ *   and their uploads (progress, cancel, retry) when given an uploader,
+ *   thumbnails, order and captions
  * - Custom metadata (thread context, editing mode, etc.)
+ * - Submission lifecycle (status + last error)
+ * - Validation (errors per field + canSubmit)
+ * - Bounded undo/redo history of the draft
+ * - Draft persistence across reloads (when given a draftKey)
+ * - Plugins hooking into the lifecycle, with namespaced state and actions
+ * - The registered text field and its selection (focus, blur, edits at the caret)
+ * - Keyboard shortcuts (keymap prop + bindings registered by components)
  * - Actions and handlers
  * 
  * All lifted to the highest level to avoid prop drilling throughout the tree.
+ * The draft itself lives in a store adapter (see composerStore.js), so it
+ * can be moved into an app-level store without changing any consumer.
+ * 
+ * State and actions are also provided separately: actions never change,
+ * and useComposerSelector() lets a component subscribe to just the state
+ * it reads instead of re-rendering on every keystroke.
+ * 
+ * Code outside the tree can drive the composer through a ref:
+ * focus(), blur(), insertText(text), setContent(content), submit(),
+ * reset() and getSnapshot().
  */
 export function ComposerProvider({
   children,
   onSubmit,
+  onError,
+  validate, // Single validator function, see validators.js
+  validators, // Or a list of them
+  historyLimit, // Max number of undo steps kept (read once, on mount)
+  draftKey, // e.g. 'channel:general' - enables draft persistence
+  draftStorage = defaultDraftStorage, // Storage adapter, see draftStorage.js
   initialValue = '',
-  useStateFn = useState, // Allow for custom state hooks (global state, etc.)
+  value, // Controlled draft ({ content, attachments?, metadata? })
+  onValueChange, // (nextDraft, action) => void - required with `value`
+  store, // External store adapter, see composerStore.js
+  plugins = NO_PLUGINS, // Lifecycle plugins, see composerPlugins.js
+  keymap, // Overrides for DEFAULT_KEYMAP, see composerKeymap.js
+  attachmentLimits, // { maxCount, maxSize, accept } for addFiles, see attachments.js
+  uploader, // Uploads attached files (read once, on mount), see uploads.js
+  waitForUploads = true, // Let submit() wait for unfinished uploads instead of refusing
+  limits, // Content length limits { soft, hard }, see textStats.js
+  linkResolver, // Looks up preview cards for typed links (read once, on mount), see linkPreviews.js
+  presence, // { transport, conversationId, user } - reports typing, see typingPresence.js
+  composerId, // e.g. 'thread:42' - registers with ComposerManagerProvider, see composerManager.js
+  ref, // Imperative handle, see below
 }) {
+  // Like a <textarea>, the provider is controlled when it is given a
+  // `value`, and stays in the mode it mounted in.
+  const [isControlled] = useState(value !== undefined);
+  useControlledWarnings(isControlled, value !== undefined, Boolean(onValueChange));
+
+  // Without an external store each composer gets its own built-in one,
+  // seeded from the controlled value, or else a saved draft (if any) or
+  // initialValue. An external store owns its draft, so none of them is
+  // applied to it. Inside a ComposerManagerProvider, a composer with a
+  // composerId keeps its draft in the manager instead, seeded the same
+  // way the first time that id is used.
+  const getInitialDraft = () => (draftKey && draftStorage.load(draftKey)) || { content: initialValue };
+  const [localStore] = useState(() =>
+    isControlled
+      ? createControlledComposerStore(value)
+      : createComposerStore(getInitialDraft())
+  );
+  const manager = React.useContext(ComposerManagerContext);
+  const managedStore = manager && composerId !== undefined && !isControlled
+    ? manager.getDraftStore(composerId, getInitialDraft)
+    : null;
+  const activeStore = store ?? managedStore ?? localStore;
+
+  // Controlled mode: report changes up, then adopt whatever came back
+  useLayoutEffect(() => {
+    if (!isControlled) return;
+    localStore.setOnChange(onValueChange);
+    localStore.sync(value);
+  });
+  const { dispatch } = activeStore;
+
+  const [submissionStore] = useState(() => createReducerStore(submissionReducer, INITIAL_SUBMISSION));
+  const [history] = useState(() => createDraftHistory({ limit: historyLimit }));
+  const [pluginStore] = useState(() => createReducerStore(pluginStateReducer, getInitialPluginState(plugins)));
+  const [attachmentErrorsStore] = useState(() => createReducerStore(attachmentErrorsReducer));
+  const [uploadManager] = useState(() => createUploadManager({ uploader }));
+  const [previewStore] = useState(createPreviewStore);
+  const [linkPreviewManager] = useState(() => createLinkPreviewManager({ resolver: linkResolver }));
+
+  // Upload files and create their thumbnails as they are attached, and
+  // stop / revoke them when they are removed (also by undo, reset or a new
+  // controlled value). A finished upload's result (e.g. its url) goes into
+  // the attachment, so a saved draft still has it after a reload.
+  useEffect(() => {
+    const sync = () => {
+      const { attachments } = activeStore.getState();
+      uploadManager.sync(attachments);
+      previewStore.sync(attachments);
+    };
+    sync();
+    const unsubscribe = activeStore.subscribe(sync);
+    const unsubscribeUploaded = uploadManager.onUploaded((attachmentId, result) => {
+      activeStore.dispatch({ type: COMPOSER_ACTIONS.UPDATE_ATTACHMENT, attachmentId, changes: result });
+    });
+    return () => {
+      unsubscribe();
+      unsubscribeUploaded();
+      uploadManager.destroy();
+      previewStore.destroy();
+    };
+  }, [activeStore, uploadManager, previewStore]);
+
+  // Look up previews of the links in the content as it changes
+  useEffect(() => {
+    const sync = () => linkPreviewManager.sync(activeStore.getState().content);
+    sync();
+    const unsubscribe = activeStore.subscribe(sync);
+    return () => {
+      unsubscribe();
+      linkPreviewManager.destroy();
+    };
+  }, [activeStore, linkPreviewManager]);
+
+  // The text field ComposerInput registers and its selection, see composerInput.js
+  const [inputRegistry] = useState(createInputRegistry);
+  useLayoutEffect(() => {
+    inputRegistry.applyPendingSelection();
+  });
+
+  // Report typing while the content changes in the focused text field;
+  // clearing the draft (sending, Cancel) counts as stopping
+  const typingReporterRef = useRef(null);
+  const {
+    transport: presenceTransport,
+    conversationId,
+    user: presenceUser,
+    throttle: typingThrottle,
+    idleTimeout: typingIdleTimeout,
+  } = presence ?? {};
+  const presenceUserId = presenceUser?.id;
+  const presenceUserName = presenceUser?.name;
+  useEffect(() => {
+    if (!presenceTransport) return;
+
+    const reporter = createTypingReporter({
+      transport: presenceTransport,
+      conversationId,
+      user: { id: presenceUserId, name: presenceUserName },
+      throttle: typingThrottle,
+      idleTimeout: typingIdleTimeout,
+    });
+    typingReporterRef.current = reporter;
+
+    let lastContent = activeStore.getState().content;
+    const unsubscribe = activeStore.subscribe(() => {
+      const { content } = activeStore.getState();
+      if (content === lastContent) return;
+      lastContent = content;
+
+      const element = inputRegistry.getElement();
+      if (!content) reporter.stop();
+      else if (!element || element.ownerDocument.activeElement === element) reporter.typed();
+    });
+
+    return () => {
+      unsubscribe();
+      reporter.stop();
+      typingReporterRef.current = null;
+    };
+  }, [
+    activeStore, inputRegistry, presenceTransport, conversationId, presenceUserId, presenceUserName,
+    typingThrottle, typingIdleTimeout,
+  ]);
+
+  const pipeline = useMemo(
+    () => (validate || validators
+      ? [...(validators || []), ...(validate ? [validate] : [])]
+      : DEFAULT_VALIDATORS),
+    [validate, validators]
+  );
+
+  const { soft: softLimit = null, hard: hardLimit = null } = limits ?? {};
+
+  // One read-only store over the draft, submission, history, plugins,
+  // selection, rejected files, uploads, thumbnails and link previews, with validation
+  // derived from the draft, the uploads and the length limits
+  const stateStore = useMemo(
+    () => combineComposerState({
+      draftStore: activeStore,
+      submissionStore,
+      historyStore: history,
+      pluginStore,
+      selectionStore: inputRegistry,
+      attachmentErrorsStore,
+      uploadStore: uploadManager,
+      previewStore,
+      linkPreviewStore: linkPreviewManager,
+      validators: pipeline,
+      waitForUploads,
+      limits: { soft: softLimit, hard: hardLimit },
+    }),
+    [
+      activeStore, submissionStore, history, pluginStore, inputRegistry,
+      attachmentErrorsStore, uploadManager, previewStore, linkPreviewManager, pipeline, waitForUploads,
+      softLimit, hardLimit,
+    ]
+  );
+
   // State is lifted here - child components access it through context
-  const [content, setContent] = useStateFn(initialValue);
-  const [attachments, setAttachments] = useStateFn([]);
-  const [metadata, setMetadata] = useStateFn({});
-  const [isSubmitting, setIsSubmitting] = useStateFn(false);
+  const state = useSyncExternalStore(stateStore.subscribe, stateStore.getState);
+  const draft = useSyncExternalStore(activeStore.subscribe, activeStore.getState);
+
+  // Callbacks change on every parent render; keep the latest ones in a ref
+  // so the actions below can stay stable
+  const latestRef = useRef({ onSubmit, onError, draftKey, draftStorage, keymap, attachmentLimits });
+  useLayoutEffect(() => {
+    latestRef.current = { onSubmit, onError, draftKey, draftStorage, keymap, attachmentLimits };
+  });
+
+  // Plugins reach the composer actions through their context; the actions
+  // are created further down and handed over once they exist
+  const [actionsHandle] = useState(createActionsHandle);
+  const pluginContexts = useMemo(
+    () => plugins.map((plugin) => createPluginContext(plugin, {
+      pluginStore,
+      draftStore: activeStore,
+      getActions: actionsHandle.get,
+    })),
+    [plugins, pluginStore, activeStore, actionsHandle]
+  );
+  const pluginActions = useMemo(
+    () => bindPluginActions(plugins, pluginContexts),
+    [plugins, pluginContexts]
+  );
 
-  // Actions - provided to all descendants without prop drilling
+  // The content as the plugins would send it (for previews)
+  const transformContent = useCallback(
+    (content) => applyContentTransforms(plugins, pluginContexts, content),
+    [plugins, pluginContexts]
+  );
+
+  // Shortcuts registered at runtime by components (useComposerKeyBinding)
+  const [keyBindings] = useState(createKeyBindingRegistry);
+
+  // Remember what the last submit() was called with so retry() can replay it
+  const lastSubmissionRef = useRef({});
+
+  // Actions - provided to all descendants without prop drilling.
+  // They read the latest draft from the store, so they never go stale.
   const updateContent = useCallback((value) => {
-    setContent(value);
-  }, [setContent]);
+    const current = activeStore.getState();
+    history.record(current, getTypingGroup(current.content, value));
+    dispatch({ type: COMPOSER_ACTIONS.SET_CONTENT, content: value });
+  }, [activeStore, dispatch, history]);
+
+  // Programmatic changes are undone in one step, separate from typing
+  const setContent = useCallback((value) => {
+    history.record(activeStore.getState());
+    dispatch({ type: COMPOSER_ACTIONS.SET_CONTENT, content: value });
+  }, [activeStore, dispatch, history]);
+
+  // Selection-aware edits: each is one undo step and leaves the caret
+  // where the user would expect it
+  const replaceRange = useCallback((start, end, text) => {
+    const { content } = activeStore.getState();
+    const range = resolveSelection({ start, end }, content);
+    const next = replaceContentRange(content, range.start, range.end, text);
+    setContent(next.content);
+    inputRegistry.select(next.caret);
+  }, [activeStore, inputRegistry, setContent]);
+
+  // Insert at the caret, replacing the selected text (if any)
+  const insertAtCursor = useCallback((text) => {
+    const { start, end } = resolveSelection(inputRegistry.getState(), activeStore.getState().content);
+    replaceRange(start, end, text);
+  }, [activeStore, inputRegistry, replaceRange]);
+
+  // Generic edit: `edit(content, selection, draft)` returns
+  // { content, selection, metadata? } (or null to leave things as they
+  // are) - e.g. toggleFormat from markdownFormatting.js. Metadata is
+  // merged in, as part of the same undo step.
+  const applyEdit = useCallback((edit) => {
+    const current = activeStore.getState();
+    const next = edit(current.content, resolveSelection(inputRegistry.getState(), current.content), current);
+    if (!next) return;
+
+    history.record(current);
+    dispatch({ type: COMPOSER_ACTIONS.SET_CONTENT, content: next.content });
+    Object.entries(next.metadata || {}).forEach(([key, value]) => {
+      dispatch({ type: COMPOSER_ACTIONS.SET_METADATA, key, value });
+    });
+    inputRegistry.select(next.selection.start, next.selection.end);
+  }, [activeStore, dispatch, history, inputRegistry]);
+
+  const wrapSelection = useCallback(
+    (before, after = before) => applyEdit(
+      (content, selection) => wrapContentRange(content, selection, before, after)
+    ),
+    [applyEdit]
+  );
 
   const addAttachment = useCallback((attachment) => {
-    setAttachments((prev) => [...prev, attachment]);
-  }, [setAttachments]);
+    history.record(activeStore.getState());
+    dispatch({ type: COMPOSER_ACTIONS.ADD_ATTACHMENT, attachment });
+    notifyPlugins(plugins, pluginContexts, 'onAttachmentAdded', attachment);
+  }, [activeStore, dispatch, history, plugins, pluginContexts]);
+
+  /**
+   * Attach files (from a file input, a drop or a paste) that fit within
+   * `attachmentLimits`; the rest become `attachmentErrors`. All of them
+   * are one undo step. Returns { added, errors }.
+   */
+  const addFiles = useCallback((files) => {
+    const current = activeStore.getState();
+    const { accepted, errors } = checkFiles(
+      [...files],
+      latestRef.current.attachmentLimits,
+      current.attachments.length
+    );
+    attachmentErrorsStore.dispatch({ type: ATTACHMENT_ERROR_ACTIONS.REJECTED, errors });
+
+    const added = accepted.map(createAttachment);
+    if (added.length > 0) history.record(current);
+    added.forEach((attachment) => {
+      dispatch({ type: COMPOSER_ACTIONS.ADD_ATTACHMENT, attachment });
+      notifyPlugins(plugins, pluginContexts, 'onAttachmentAdded', attachment);
+    });
+    return { added, errors };
+  }, [activeStore, attachmentErrorsStore, dispatch, history, plugins, pluginContexts]);
+
+  const clearAttachmentErrors = useCallback(() => {
+    attachmentErrorsStore.dispatch({ type: ATTACHMENT_ERROR_ACTIONS.CLEARED });
+  }, [attachmentErrorsStore]);
+
+  // Moves the attachment at `fromIndex` to `toIndex`
+  const reorderAttachments = useCallback((fromIndex, toIndex) => {
+    history.record(activeStore.getState());
+    dispatch({ type: COMPOSER_ACTIONS.MOVE_ATTACHMENT, fromIndex, toIndex });
+  }, [activeStore, dispatch, history]);
+
+  // Typing a caption is undone like typing the message, per attachment
+  const setAttachmentCaption = useCallback((attachmentId, caption) => {
+    history.record(activeStore.getState(), { group: `caption:${attachmentId}` });
+    dispatch({ type: COMPOSER_ACTIONS.UPDATE_ATTACHMENT, attachmentId, changes: { caption } });
+  }, [activeStore, dispatch, history]);
+
+  const cancelUpload = useCallback((attachmentId) => uploadManager.cancel(attachmentId), [uploadManager]);
+  const retryUpload = useCallback((attachmentId) => uploadManager.retry(attachmentId), [uploadManager]);
+  const dismissLinkPreview = useCallback((url) => linkPreviewManager.dismiss(url), [linkPreviewManager]);
 
   const removeAttachment = useCallback((attachmentId) => {
-    setAttachments((prev) => prev.filter((a) => a.id !== attachmentId));
-  }, [setAttachments]);
+    history.record(activeStore.getState());
+    dispatch({ type: COMPOSER_ACTIONS.REMOVE_ATTACHMENT, attachmentId });
+    clearAttachmentErrors();
+  }, [activeStore, dispatch, history, clearAttachmentErrors]);
 
   const updateMetadata = useCallback((key, value) => {
-    setMetadata((prev) => ({
-      ...prev,
-      [key]: value,
-    }));
-  }, [setMetadata]);
+    history.record(activeStore.getState());
+    dispatch({ type: COMPOSER_ACTIONS.SET_METADATA, key, value });
+  }, [activeStore, dispatch, history]);
+
+  const restoreSnapshot = useCallback((snapshot) => {
+    if (!snapshot) return;
+    dispatch({ type: COMPOSER_ACTIONS.REPLACE_DRAFT, draft: snapshot });
+  }, [dispatch]);
+
+  // Switching to another conversation swaps in that conversation's draft -
+  // a managed composer gets it from the manager when its composerId changes
+  const loadedDraftKeyRef = useRef(draftKey);
+  useEffect(() => {
+    if (loadedDraftKeyRef.current === draftKey) return;
+    loadedDraftKeyRef.current = draftKey;
 
+    if (!managedStore) restoreSnapshot((draftKey && draftStorage.load(draftKey)) || EMPTY_DRAFT);
+    history.clear();
+  }, [draftKey, draftStorage, restoreSnapshot, history, managedStore]);
+
+  const loadedComposerIdRef = useRef(composerId);
+  useEffect(() => {
+    if (loadedComposerIdRef.current === composerId) return;
+    loadedComposerIdRef.current = composerId;
+    history.clear();
+  }, [composerId, history]);
+
+  useDraftPersistence(draftKey, draftStorage, draft);
+
+  const undo = useCallback(() => {
+    restoreSnapshot(history.undo(activeStore.getState()));
+  }, [history, activeStore, restoreSnapshot]);
+
+  const redo = useCallback(() => {
+    restoreSnapshot(history.redo(activeStore.getState()));
+  }, [history, activeStore, restoreSnapshot]);
+
+  /**
+   * Submits the current draft. Resolves to true on success and false on
+   * failure - it never rejects. On failure the draft is left untouched and
+   * the error is exposed as `error` (status becomes 'failed').
+   * Does nothing (resolves to false) while validation fails or while an
+   * earlier submission is still in flight, so a message is never sent twice.
+   * Unfinished uploads are waited for first, and the uploaded attachments
+   * are sent without their File. With a linkResolver, the link previews shown
+   * (not dismissed) are sent as `linkPreviews`.
+   * Plugins transform the payload first and may cancel the submission or
+   * handle it themselves (then onSubmit isn't called).
+   */
   const submit = useCallback(
     async (additionalData = {}) => {
+      const current = stateStore.getState();
+      if (current.isSubmitting || !current.canSubmit) return false;
+
+      const { onSubmit: handleSubmit, onError: handleError } = latestRef.current;
+      lastSubmissionRef.current = additionalData;
+      submissionStore.dispatch({ type: SUBMISSION_ACTIONS.STARTED });
+      typingReporterRef.current?.stop();
+
+      // Wait for unfinished uploads; if one of them failed, the draft can't
+      // be sent after all (see errors.attachments)
+      await uploadManager.whenSettled();
+      const { content, attachments, metadata, canSubmit } = stateStore.getState();
+      if (!canSubmit) {
+        submissionStore.dispatch({ type: SUBMISSION_ACTIONS.RESET });
+        return false;
+      }
+
+      const linkPreviews = linkPreviewManager.getSelectedPreviews();
+      let payload = {
+        content,
+        attachments: attachments.map(uploadManager.resolveAttachment),
+        metadata,
+        ...(linkPreviews && { linkPreviews }),
+        ...additionalData,
+      };
+
       try {
-        setIsSubmitting(true);
-        await onSubmit({
-          content,
-          attachments,
-          metadata,
-          ...additionalData,
-        });
-        // Reset after successful submission
-        setContent('');
-        setAttachments([]);
-        setMetadata({});
-      } catch (error) {
-        console.error('Submission failed:', error);
-      } finally {
-        setIsSubmitting(false);
+        payload = await runSubmitPipeline(plugins, pluginContexts, payload);
+        if (!payload) {
+          // A plugin cancelled - nothing was sent and nothing failed
+          submissionStore.dispatch({ type: SUBMISSION_ACTIONS.RESET });
+          return false;
+        }
+
+        if (payload !== SUBMIT_HANDLED) await handleSubmit(payload);
+      } catch (submitError) {
+        submissionStore.dispatch({ type: SUBMISSION_ACTIONS.FAILED, error: submitError });
+        handleError?.(submitError, payload);
+        return false;
       }
+
+      // Reset after successful submission - a sent message can't be undone
+      dispatch({ type: COMPOSER_ACTIONS.RESET });
+      history.clear();
+      const { draftKey: key, draftStorage: storage } = latestRef.current;
+      if (key) storage.remove(key);
+      submissionStore.dispatch({ type: SUBMISSION_ACTIONS.SUCCEEDED });
+      clearAttachmentErrors();
+      // Nothing was sent when a plugin handled it, so there is no payload
+      if (payload !== SUBMIT_HANDLED) notifyPlugins(plugins, pluginContexts, 'afterSubmit', payload);
+      notifyPlugins(plugins, pluginContexts, 'onReset');
+      return true;
     },
-    [content, attachments, metadata, onSubmit, setContent, setAttachments, setMetadata, setIsSubmitting]
+    [
+      stateStore, submissionStore, uploadManager, linkPreviewManager, dispatch, history, plugins, pluginContexts,
+      clearAttachmentErrors,
+    ]
+  );
+
+  // Re-submit the (untouched) draft with the same additional data as last time
+  const retry = useCallback(
+    () => submit(lastSubmissionRef.current),
+    [submit]
   );
 
+  // Reset is recorded so an accidental Cancel can be undone
   const reset = useCallback(() => {
-    setContent('');
-    setAttachments([]);
-    setMetadata({});
-  }, [setContent, setAttachments, setMetadata]);
+    const current = activeStore.getState();
+    if (!isEmptyDraft(current)) history.record(current);
+    dispatch({ type: COMPOSER_ACTIONS.RESET });
+    submissionStore.dispatch({ type: SUBMISSION_ACTIONS.RESET });
+    clearAttachmentErrors();
+    notifyPlugins(plugins, pluginContexts, 'onReset');
+  }, [activeStore, dispatch, history, submissionStore, plugins, pluginContexts, clearAttachmentErrors]);
 
-  // Context value - this is the interface contract
-  const value = {
-    // State
-    content,
-    attachments,
-    metadata,
-    isSubmitting,
-    
-    // Actions
+  // The text field's focus and blur handlers: the manager (if any) tracks
+  // which composer has focus, and leaving the field stops "typing"
+  const handleFocus = useCallback(() => {
+    if (manager && composerId !== undefined) manager.focused(composerId);
+  }, [manager, composerId]);
+
+  const handleBlur = useCallback(() => {
+    typingReporterRef.current?.stop();
+    if (manager && composerId !== undefined) manager.blurred(composerId);
+  }, [manager, composerId]);
+
+  // The text field's keydown handler: runs the matching shortcut, if any
+  const handleKeyDown = useCallback((event) => {
+    runKeyBinding(event, {
+      registry: keyBindings,
+      keymap: { ...DEFAULT_KEYMAP, ...latestRef.current.keymap },
+      actions: actionsHandle.get(),
+    });
+  }, [keyBindings, actionsHandle]);
+
+  const actions = useMemo(() => ({
     updateContent,
+    insertAtCursor,
+    replaceRange,
+    wrapSelection,
+    applyEdit,
     addAttachment,
+    addFiles,
     removeAttachment,
+    clearAttachmentErrors,
+    reorderAttachments,
+    setAttachmentCaption,
+    cancelUpload,
+    retryUpload,
+    dismissLinkPreview,
     updateMetadata,
     submit,
+    retry,
     reset,
-  };
+    undo,
+    redo,
+    focus: inputRegistry.focus,
+    blur: inputRegistry.blur,
+    registerInput: inputRegistry.register,
+    setSelection: inputRegistry.setSelection,
+    handleKeyDown,
+    handleFocus,
+    handleBlur,
+    registerKeyBinding: keyBindings.register,
+    pluginActions,
+    transformContent,
+  }), [
+    updateContent, insertAtCursor, replaceRange, wrapSelection, applyEdit,
+    addAttachment, addFiles, removeAttachment, clearAttachmentErrors,
+    reorderAttachments, setAttachmentCaption, cancelUpload, retryUpload, dismissLinkPreview, updateMetadata,
+    submit, retry, reset, undo, redo, inputRegistry, handleKeyDown, handleFocus, handleBlur, keyBindings, pluginActions,
+    transformContent,
+  ]);
+
+  useLayoutEffect(() => {
+    actionsHandle.set(actions);
+  }, [actionsHandle, actions]);
+
+  // Let the manager (if any) reach this composer by its id
+  useEffect(() => {
+    if (!manager || composerId === undefined) return;
+    return manager.register(composerId, { stateStore, actions });
+  }, [manager, composerId, stateStore, actions]);
+
+  useImperativeHandle(ref, () => ({
+    focus: inputRegistry.focus,
+    blur: inputRegistry.blur,
+    insertText: insertAtCursor,
+    setContent,
+    submit,
+    reset,
+    getSnapshot: activeStore.getState,
+  }), [inputRegistry, insertAtCursor, setContent, submit, reset, activeStore]);
+
+  // Context value - this is the interface contract
+  const contextValue = useMemo(() => ({
+    // State: content, attachments, metadata, status, error, isSubmitting,
+    // errors, canSubmit, canUndo, canRedo, pluginState, selection,
+    // attachmentErrors, uploads, previews, linkPreviews, limitStatus
+    ...state,
+
+    // Actions
+    ...actions,
+  }), [state, actions]);
 
   return (
-    <ComposerContext.Provider value={value}>
-      {children}
-    </ComposerContext.Provider>
+    <ComposerActionsContext.Provider value={actions}>
+      <ComposerStateContext.Provider value={stateStore}>
+        <ComposerContext.Provider value={contextValue}>
+          {children}
+        </ComposerContext.Provider>
+      </ComposerStateContext.Provider>
+    </ComposerActionsContext.Provider>
   );
 }
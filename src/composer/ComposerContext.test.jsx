@@ -0,0 +1,137 @@
+// @vitest-environment jsdom
+import { act, useLayoutEffect } from 'react';
+import { createRoot } from 'react-dom/client';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ComposerProvider } from './ComposerContext';
+import { SUBMIT_STATUS, useComposerActions, useComposerSelector } from './ComposerContextValue';
+import { createMemoryStorageAdapter } from './draftStorage';
+import { createFakeUploader } from './uploads';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let root;
+let composer;
+
+// Hands the composer's actions and latest state to the test
+function ComposerProbe({ onRender }) {
+  const actions = useComposerActions();
+  const state = useComposerSelector((snapshot) => snapshot);
+  useLayoutEffect(() => {
+    onRender({ ...state, ...actions });
+  });
+  return null;
+}
+
+const render = (props) =>
+  act(() => root.render(
+    <ComposerProvider {...props}>
+      <ComposerProbe onRender={(value) => { composer = value; }} />
+    </ComposerProvider>
+  ));
+
+const sleep = (ms) => act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+
+beforeEach(() => {
+  root = createRoot(document.createElement('div'));
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+});
+
+describe('ComposerProvider submit', () => {
+  it('sends once when submit() is called again before the first one resolves', async () => {
+    let resolveSend;
+    const onSubmit = vi.fn(() => new Promise((resolve) => { resolveSend = resolve; }));
+    await render({ initialValue: 'Hello', onSubmit });
+
+    let first;
+    let second;
+    await act(async () => {
+      first = composer.submit();
+      second = composer.submit();
+    });
+
+    await expect(second).resolves.toBe(false);
+    expect(composer.isSubmitting).toBe(true);
+
+    await act(async () => resolveSend());
+    await expect(first).resolves.toBe(true);
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(composer.content).toBe('');
+  });
+
+  it('keeps the draft and reports the error when onSubmit rejects, then retry() sends it', async () => {
+    const error = new Error('Network down');
+    const onSubmit = vi.fn().mockRejectedValueOnce(error).mockResolvedValueOnce();
+    const onError = vi.fn();
+    await render({ initialValue: 'Hello', onSubmit, onError });
+
+    await act(async () => expect(composer.submit({ channel: 'general' })).resolves.toBe(false));
+
+    expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ content: 'Hello', channel: 'general' }));
+    expect(composer.status).toBe(SUBMIT_STATUS.FAILED);
+    expect(composer.isSubmitting).toBe(false);
+    expect(composer.content).toBe('Hello');
+
+    await act(async () => expect(composer.retry()).resolves.toBe(true));
+
+    expect(onSubmit).toHaveBeenCalledTimes(2);
+    expect(onSubmit).toHaveBeenLastCalledWith(expect.objectContaining({ content: 'Hello', channel: 'general' }));
+    expect(composer.status).toBe(SUBMIT_STATUS.SUCCEEDED);
+    expect(composer.content).toBe('');
+  });
+});
+
+describe('ComposerProvider drafts', () => {
+  it('saves the previous draft right away when draftKey changes', async () => {
+    const storage = createMemoryStorageAdapter();
+    await render({ draftKey: 'channel:a', draftStorage: storage });
+
+    await act(async () => composer.updateContent('Quick words'));
+    await render({ draftKey: 'channel:b', draftStorage: storage });
+
+    // Well before the save delay has passed
+    expect(storage.load('channel:a').content).toBe('Quick words');
+  });
+
+  it('keeps a restored draft whose File was lost from being sent', async () => {
+    const storage = createMemoryStorageAdapter({
+      'channel:general': {
+        content: 'Look',
+        attachments: [{ id: 'a1', name: 'photo.png', type: 'image/png', missingFile: true }],
+        metadata: {},
+      },
+    });
+    const onSubmit = vi.fn();
+    await render({ draftKey: 'channel:general', draftStorage: storage, onSubmit });
+
+    expect(composer.canSubmit).toBe(false);
+    expect(composer.errors.attachments).toEqual([
+      '"photo.png" wasn\'t kept with the draft - attach it again or remove it',
+    ]);
+    await act(async () => expect(composer.submit()).resolves.toBe(false));
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+});
+
+describe('ComposerProvider uploads', () => {
+  it('keeps a finished upload on the draft attachment and in the saved draft', async () => {
+    const storage = createMemoryStorageAdapter();
+    await render({
+      draftKey: 'channel:general',
+      draftStorage: storage,
+      uploader: createFakeUploader({ duration: 10, steps: 1 }),
+    });
+
+    await act(async () => composer.addFiles([new File(['abc'], 'photo.png', { type: 'image/png' })]));
+    await sleep(50);
+
+    expect(composer.attachments[0].url).toBe('memory://1');
+
+    await sleep(600);
+    const [saved] = storage.load('channel:general').attachments;
+    expect(saved).toMatchObject({ name: 'photo.png', url: 'memory://1' });
+    expect(saved.missingFile).toBeUndefined();
+  });
+});
@@ -1,4 +1,12 @@
-import React, { createContext } from 'react';
+import React, {
+  createContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useSyncExternalStore,
+} from 'react';
+import { ComposerManagerContext } from './ComposerManagerContextValue';
 
 /**
  * ComposerContext - The context object
@@ -13,16 +21,165 @@ import React, { createContext } from 'react';
  */
 export const ComposerContext = createContext(null);
 
+/**
+ * Split contexts for fine-grained subscriptions
+ *
+ * ComposerContext carries the whole value and changes on every keystroke.
+ * These two never change for the lifetime of a composer:
+ * - ComposerStateContext: a read-only store ({ getState, subscribe })
+ * - ComposerActionsContext: the (stable) action functions
+ */
+export const ComposerStateContext = createContext(null);
+export const ComposerActionsContext = createContext(null);
+
 /**
  * useComposer - Hook to access composer context
  * 
  * This hook is used by any descendant component in the tree,
  * demonstrating that state access is not limited to immediate children.
+ * 
+ * With an id it reaches that composer instead of the nearest one, from
+ * anywhere inside a ComposerManagerProvider: useComposer('thread:42').
+ * That gives null while no composer with the id is mounted.
  */
-export function useComposer() {
+export function useComposer(composerId) {
   const context = React.useContext(ComposerContext);
+  const managedComposer = useManagedComposer(composerId);
+
+  if (composerId !== undefined) return managedComposer;
   if (!context) {
     throw new Error('useComposer must be used within ComposerProvider');
   }
   return context;
 }
+
+const noSubscription = () => () => {};
+const getNothing = () => null;
+
+// The state and actions of the manager's composer `composerId`, the same
+// shape as the composer's own context value
+function useManagedComposer(composerId) {
+  const manager = React.useContext(ComposerManagerContext);
+  if (composerId !== undefined && !manager) {
+    throw new Error('useComposer(id) must be used within ComposerManagerProvider');
+  }
+
+  const composer = useSyncExternalStore(
+    manager && composerId !== undefined ? manager.subscribe : noSubscription,
+    () => (manager && composerId !== undefined ? manager.getState().composers[composerId] ?? null : null)
+  );
+  const state = useSyncExternalStore(
+    composer ? composer.stateStore.subscribe : noSubscription,
+    composer ? composer.stateStore.getState : getNothing
+  );
+
+  return useMemo(() => (composer ? { ...state, ...composer.actions } : null), [composer, state]);
+}
+
+/**
+ * Memoize the selection per store snapshot so unrelated changes return
+ * the previous selection (and don't trigger a re-render)
+ */
+function createSelectionGetter(store, selector, equalityFn) {
+  let hasSelection = false;
+  let lastState;
+  let lastSelection;
+
+  return () => {
+    const state = store.getState();
+    if (hasSelection && state === lastState) return lastSelection;
+
+    const selection = selector(state);
+    lastState = state;
+    if (hasSelection && equalityFn(lastSelection, selection)) return lastSelection;
+
+    hasSelection = true;
+    lastSelection = selection;
+    return selection;
+  };
+}
+
+/**
+ * useComposerSelector - Subscribe to a slice of composer state
+ *
+ * The component re-renders only when the selected value changes according
+ * to `equalityFn` (Object.is by default; use shallowEqual when selecting
+ * an object of several fields).
+ */
+export function useComposerSelector(selector, equalityFn = Object.is) {
+  const store = React.useContext(ComposerStateContext);
+  if (!store) {
+    throw new Error('useComposerSelector must be used within ComposerProvider');
+  }
+
+  const getSelection = useMemo(
+    () => createSelectionGetter(store, selector, equalityFn),
+    [store, selector, equalityFn]
+  );
+
+  return useSyncExternalStore(store.subscribe, getSelection);
+}
+
+/**
+ * useComposerActions - Access composer actions without subscribing to state
+ *
+ * The returned object is stable, so components that only trigger actions
+ * (attach, cancel, ...) never re-render because of typing.
+ */
+export function useComposerActions() {
+  const actions = React.useContext(ComposerActionsContext);
+  if (!actions) {
+    throw new Error('useComposerActions must be used within ComposerProvider');
+  }
+  return actions;
+}
+
+/**
+ * useComposerPlugin - State and actions a plugin added to the composer
+ * 
+ * Plugins are namespaced by name, see composerPlugins.js.
+ */
+export function useComposerPlugin(name) {
+  const state = useComposerSelector((composerState) => composerState.pluginState[name]);
+  const { pluginActions } = useComposerActions();
+  return { state, actions: pluginActions[name] };
+}
+
+/**
+ * useComposerKeyBinding - Bind a key combo while the component is mounted
+ * 
+ * useComposerKeyBinding('Escape', () => onCancel());
+ * 
+ * The handler receives (event, actions); returning false passes the key
+ * on (to older bindings, then the keymap). Pass null to unbind, e.g.
+ * while a popover is closed. See composerKeymap.js.
+ */
+export function useComposerKeyBinding(combo, handler) {
+  const { registerKeyBinding } = useComposerActions();
+  const handlerRef = useRef(handler);
+  useLayoutEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  const enabled = Boolean(handler);
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return registerKeyBinding(combo, (event, actions) => {
+      const current = handlerRef.current;
+      return current ? current(event, actions) : false;
+    });
+  }, [registerKeyBinding, combo, enabled]);
+}
+
+/**
+ * SUBMIT_STATUS - Lifecycle of the last submit() call
+ *
+ * Exposed as `status` on the composer context so buttons can render
+ * "Sending...", "Failed – retry", etc. without tracking it themselves.
+ */
+export const SUBMIT_STATUS = Object.freeze({
+  IDLE: 'idle',
+  SUBMITTING: 'submitting',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
@@ -1,5 +1,47 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { ChannelComposer, ThreadComposer, EditMessageComposer } from './ComposerExamples';
+import { OutboxProvider } from './OutboxProvider';
+import { useOutbox, usePendingMessages } from './OutboxContextValue';
+import { OUTBOX_STATUS } from './outbox';
+import { MessageView } from './ComposerMessagePreview';
+import { createFakeUploader } from './uploads';
+import { createMemoryPresenceTransport } from './typingPresence';
+
+// Stand-in for the file service; a file named "fail..." fails to upload.
+// The demo keeps the uploaded files, so the messages log can show them
+const uploader = createFakeUploader({
+  duration: 2000,
+  shouldFail: (file) => file.name.toLowerCase().startsWith('fail'),
+});
+
+// Stand-in for the realtime service that carries typing presence
+const presenceTransport = createMemoryPresenceTransport();
+
+const TEAMMATES = [
+  { id: 'ada', name: 'Ada' },
+  { id: 'grace', name: 'Grace' },
+  { id: 'alan', name: 'Alan' },
+];
+
+// Teammates start typing in #general, then stop a few seconds later
+function simulateTeammatesTyping() {
+  const conversationId = 'channel:general';
+  TEAMMATES.forEach((user, index) => {
+    setTimeout(() => presenceTransport.sendTyping({ conversationId, user, typing: true }), index * 500);
+    setTimeout(() => presenceTransport.sendTyping({ conversationId, user, typing: false }), 4000 + index * 500);
+  });
+}
+
+// Object URLs for the files behind sent attachments. The log only grows,
+// so they live as long as the page
+const attachmentUrls = new WeakMap();
+
+function resolveAttachmentUrl(attachment) {
+  const file = uploader.files.get(attachment.url) ?? attachment.file;
+  if (!file) return null;
+  if (!attachmentUrls.has(file)) attachmentUrls.set(file, URL.createObjectURL(file));
+  return attachmentUrls.get(file);
+}
 
 /**
  * ComposerDemo - Showcases all three composer variations
@@ -23,31 +65,24 @@ export function ComposerDemo() {
   
   const [editingMessageId, setEditingMessageId] = useState(null);
 
-  const handleChannelMessage = async (data) => {
-    console.log('Channel message submitted:', data);
-    // Simulate API call
-    await new Promise((resolve) => setTimeout(resolve, 500));
-    
-    setMessages((prev) => [
-      ...prev,
-      {
-        id: String(Date.now()),
-        ...data,
-      },
-    ]);
-  };
+  // Imperative handle of the thread composer, for the Reply buttons below
+  const threadComposerRef = useRef(null);
 
-  const handleThreadReply = async (data) => {
-    console.log('Thread reply submitted:', data);
+  // Simulated API. It fails while the browser is offline, so the outbox
+  // has something to retry; the idempotency key doubles as the message id,
+  // so a retried delivery never duplicates a message.
+  const deliverMessage = async (data) => {
     await new Promise((resolve) => setTimeout(resolve, 500));
-    
-    setMessages((prev) => [
-      ...prev,
-      {
-        id: String(Date.now()),
-        ...data,
-      },
-    ]);
+    if (!navigator.onLine) {
+      throw new Error('Network unavailable');
+    }
+    console.log('Message delivered:', data);
+
+    setMessages((prev) =>
+      prev.some((msg) => msg.id === data.idempotencyKey)
+        ? prev
+        : [...prev, { id: data.idempotencyKey, ...data }]
+    );
   };
 
   const handleEditMessage = async (data) => {
@@ -57,7 +92,7 @@ export function ComposerDemo() {
     setMessages((prev) =>
       prev.map((msg) =>
         msg.id === editingMessageId
-          ? { ...msg, content: data.content }
+          ? { ...msg, content: data.content, doc: data.doc, text: data.text }
           : msg
       )
     );
@@ -65,125 +100,195 @@ export function ComposerDemo() {
   };
 
   return (
-    <div style={{ padding: '20px', maxWidth: '800px', margin: '0 auto' }}>
-      <h1>React Composition Pattern Demo</h1>
-      <p>
-        Following Fernando Rojo's "Composition Is All You Need" principles
-      </p>
-
-      <section style={{ marginTop: '40px' }}>
-        <h2>Channel Composer</h2>
-        <p style={{ fontSize: '14px', color: '#666' }}>
-          A composer for posting messages to a channel. Includes attachment and emoji buttons.
+    <OutboxProvider send={deliverMessage}>
+      <div style={{ padding: '20px', maxWidth: '800px', margin: '0 auto' }}>
+        <h1>React Composition Pattern Demo</h1>
+        <p>
+          Following Fernando Rojo's "Composition Is All You Need" principles
         </p>
-        <ChannelComposer
-          channelName="general"
-          onSendMessage={handleChannelMessage}
-        />
-      </section>
-
-      <section style={{ marginTop: '40px' }}>
-        <h2>Thread Composer</h2>
-        <p style={{ fontSize: '14px', color: '#666' }}>
-          A composer for replying in a thread. Simplified UI with only mention functionality.
-        </p>
-        <ThreadComposer
-          threadId="thread-1"
-          channelName="general"
-          onReplyToThread={handleThreadReply}
-        />
-      </section>
-
-      <section style={{ marginTop: '40px' }}>
-        <h2>Edit Message Composer</h2>
-        <p style={{ fontSize: '14px', color: '#666' }}>
-          A composer for editing an existing message. Different visual treatment and actions.
-        </p>
-        {editingMessageId && (
-          <EditMessageComposer
-            messageId={editingMessageId}
-            currentContent={
-              messages.find((m) => m.id === editingMessageId)?.content || ''
-            }
-            onSaveEdit={handleEditMessage}
-          />
-        )}
-        {!editingMessageId && (
+
+        <section style={{ marginTop: '40px' }}>
+          <h2>Channel Composer</h2>
+          <p style={{ fontSize: '14px', color: '#666' }}>
+            A composer for posting messages to a channel. Includes attachment and emoji buttons.
+          </p>
+          <QueuedChannelComposer channelName="general" />
           <button
-            onClick={() => setEditingMessageId(messages[0]?.id)}
+            onClick={simulateTeammatesTyping}
             style={{
-              padding: '8px 12px',
-              backgroundColor: '#007a5e',
-              color: 'white',
-              border: 'none',
+              marginTop: '8px',
+              padding: '4px 8px',
+              fontSize: '12px',
+              backgroundColor: 'white',
+              border: '1px solid #ddd',
               borderRadius: '4px',
               cursor: 'pointer',
-              fontSize: '14px',
             }}
           >
-            Edit First Message
+            Simulate teammates typing
           </button>
-        )}
-      </section>
-
-      <section style={{ marginTop: '40px' }}>
-        <h2>Messages Log</h2>
-        <div style={{ fontSize: '12px' }}>
-          {messages.length === 0 ? (
-            <p style={{ color: '#999' }}>No messages yet</p>
-          ) : (
-            messages.map((msg) => (
-              <div
-                key={msg.id}
-                style={{
-                  padding: '8px',
-                  marginBottom: '8px',
-                  backgroundColor: '#f5f5f5',
-                  borderRadius: '4px',
-                  borderLeft: '3px solid #007a5e',
-                }}
-              >
-                <strong>[{msg.type}]</strong> {msg.content}
-                {msg.attachments?.length > 0 && (
-                  <div style={{ marginTop: '4px', color: '#666' }}>
-                    Attachments: {msg.attachments.map((a) => a.name).join(', ')}
-                  </div>
-                )}
-              </div>
-            ))
+        </section>
+
+        <section style={{ marginTop: '40px' }}>
+          <h2>Thread Composer</h2>
+          <p style={{ fontSize: '14px', color: '#666' }}>
+            A composer for replying in a thread. Simplified UI with only mention functionality.
+          </p>
+          <QueuedThreadComposer ref={threadComposerRef} threadId="thread-1" channelName="general" />
+        </section>
+
+        <section style={{ marginTop: '40px' }}>
+          <h2>Edit Message Composer</h2>
+          <p style={{ fontSize: '14px', color: '#666' }}>
+            A composer for editing an existing message. Different visual treatment and actions.
+          </p>
+          {editingMessageId && (
+            <EditMessageComposer
+              messageId={editingMessageId}
+              currentContent={
+                messages.find((m) => m.id === editingMessageId)?.content || ''
+              }
+              onSaveEdit={handleEditMessage}
+              onCancelEdit={() => setEditingMessageId(null)}
+            />
           )}
-        </div>
-      </section>
-
-      <section style={{ marginTop: '60px', padding: '20px', backgroundColor: '#f9f9f9', borderRadius: '8px' }}>
-        <h3>Key Principles Demonstrated</h3>
-        <ul style={{ fontSize: '14px', lineHeight: '1.8' }}>
-          <li>
-            <strong>No Boolean Prop Hell:</strong> Instead of passing isThreadComposer, isEditMode, etc.,
-            the caller decides the composition structure.
-          </li>
-          <li>
-            <strong>Provider Pattern:</strong> State is managed in ComposerProvider and accessed via context,
-            not passed as props down the tree.
-          </li>
-          <li>
-            <strong>No Prop Drilling:</strong> Components like ComposerButton and action buttons access state
-            directly from context, even though they're deep in the tree.
-          </li>
-          <li>
-            <strong>Decoupled Implementation:</strong> The same ComposerProvider can work with useState, Redux,
-            Zustand, or any state management library by passing a custom useStateFn.
-          </li>
-          <li>
-            <strong>Flexible Composition:</strong> UI elements are composed as JSX children, not selected
-            via conditional render logic in the parent component.
-          </li>
-          <li>
-            <strong>Maintainable & Scalable:</strong> New composer variations can be created without
-            modifying existing components or adding more boolean props.
-          </li>
-        </ul>
-      </section>
+          {!editingMessageId && (
+            <button
+              onClick={() => setEditingMessageId(messages[0]?.id)}
+              style={{
+                padding: '8px 12px',
+                backgroundColor: '#007a5e',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '14px',
+              }}
+            >
+              Edit First Message
+            </button>
+          )}
+        </section>
+
+        <section style={{ marginTop: '40px' }}>
+          <h2>Messages Log</h2>
+          <MessagesLog
+            messages={messages}
+            onReply={() => threadComposerRef.current?.focus()}
+          />
+        </section>
+
+        <section style={{ marginTop: '60px', padding: '20px', backgroundColor: '#f9f9f9', borderRadius: '8px' }}>
+          <h3>Key Principles Demonstrated</h3>
+          <ul style={{ fontSize: '14px', lineHeight: '1.8' }}>
+            <li>
+              <strong>No Boolean Prop Hell:</strong> Instead of passing isThreadComposer, isEditMode, etc.,
+              the caller decides the composition structure.
+            </li>
+            <li>
+              <strong>Provider Pattern:</strong> State is managed in ComposerProvider and accessed via context,
+              not passed as props down the tree.
+            </li>
+            <li>
+              <strong>No Prop Drilling:</strong> Components like ComposerButton and action buttons access state
+              directly from context, even though they're deep in the tree.
+            </li>
+            <li>
+              <strong>Decoupled Implementation:</strong> The same ComposerProvider can work with useState, Redux,
+              Zustand, or any state management library by passing a store adapter.
+            </li>
+            <li>
+              <strong>Flexible Composition:</strong> UI elements are composed as JSX children, not selected
+              via conditional render logic in the parent component.
+            </li>
+            <li>
+              <strong>Maintainable & Scalable:</strong> New composer variations can be created without
+              modifying existing components or adding more boolean props.
+            </li>
+          </ul>
+        </section>
+      </div>
+    </OutboxProvider>
+  );
+}
+
+// Composers whose messages go through the outbox: submitting only queues
+// the message, so the composer clears right away even when offline
+function QueuedChannelComposer(props) {
+  const { enqueue } = useOutbox();
+  return <ChannelComposer {...props} uploader={uploader} presenceTransport={presenceTransport} onSendMessage={enqueue} />;
+}
+
+function QueuedThreadComposer(props) {
+  const { enqueue } = useOutbox();
+  return <ThreadComposer {...props} uploader={uploader} presenceTransport={presenceTransport} onReplyToThread={enqueue} />;
+}
+
+const PENDING_LABELS = {
+  [OUTBOX_STATUS.QUEUED]: 'waiting to send',
+  [OUTBOX_STATUS.SENDING]: 'sending…',
+  [OUTBOX_STATUS.FAILED]: 'failed',
+};
+
+/**
+ * MessagesLog - Delivered messages followed by those still in the outbox
+ */
+function MessagesLog({ messages, onReply }) {
+  const pending = usePendingMessages();
+  const { retry, discard } = useOutbox();
+
+  if (messages.length === 0 && pending.length === 0) {
+    return <p style={{ color: '#999', fontSize: '12px' }}>No messages yet</p>;
+  }
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      {messages.map((msg) => (
+        <MessageRow key={msg.id} message={msg} status="sent ✓">
+          <button onClick={() => onReply(msg)} style={{ marginLeft: '8px' }}>
+            Reply
+          </button>
+        </MessageRow>
+      ))}
+      {pending.map((entry) => (
+        <MessageRow
+          key={entry.id}
+          message={entry.payload}
+          status={PENDING_LABELS[entry.status]}
+          error={entry.error}
+          pending
+        >
+          {entry.status === OUTBOX_STATUS.FAILED && (
+            <span style={{ display: 'inline-flex', gap: '8px', marginLeft: '8px' }}>
+              <button onClick={() => retry(entry.id)}>Retry</button>
+              <button onClick={() => discard(entry.id)}>Discard</button>
+            </span>
+          )}
+        </MessageRow>
+      ))}
+    </div>
+  );
+}
+
+function MessageRow({ message, status, error, pending = false, children }) {
+  return (
+    <div
+      style={{
+        padding: '8px',
+        marginBottom: '8px',
+        backgroundColor: '#f5f5f5',
+        borderRadius: '4px',
+        borderLeft: `3px solid ${pending ? '#ffb703' : '#007a5e'}`,
+        opacity: pending ? 0.75 : 1,
+      }}
+    >
+      <strong>[{message.type}]</strong>
+      <MessageView message={message} resolveAttachmentUrl={resolveAttachmentUrl} />
+      <div style={{ marginTop: '4px', color: error ? '#d32f2f' : '#999' }}>
+        {status}
+        {error && ` – ${error}`}
+        {children}
+      </div>
     </div>
   );
 }
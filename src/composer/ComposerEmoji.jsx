@@ -0,0 +1,238 @@
+import { useEffect, useRef, useState } from 'react';
+import { useComposerActions } from './ComposerContextValue';
+import { useAutocomplete } from './autocomplete';
+import { EMOJI_CATEGORIES } from './emojiData';
+import {
+  SKIN_TONES,
+  emojiShortcodeSource,
+  getEmojiChar,
+  getRecentEmojiStore,
+  searchEmoji,
+  useRecentEmoji,
+} from './emoji';
+import { ComposerSuggestionList } from './ComposerComponents';
+
+const RECENT_TAB = 'recent';
+const SHORTCODE_QUERY = /^[\w+-]*$/;
+
+/**
+ * ComposerEmojiPicker - Emoji picker popover
+ *
+ * Categories, search, a skin tone choice and the user's recently used
+ * emoji (kept per `userId`, see emoji.js). Picking an emoji inserts it at
+ * the cursor and closes the picker; Escape or a click outside closes it
+ * too. Render it next to whatever button opens it:
+ *
+ * {open && <ComposerEmojiPicker userId={me.id} onClose={() => setOpen(false)} />}
+ */
+export function ComposerEmojiPicker({ userId, onClose }) {
+  const { insertAtCursor } = useComposerActions();
+  const recentStore = getRecentEmojiStore(userId);
+  const { recent, skinTone } = useRecentEmoji(recentStore);
+  const [query, setQuery] = useState('');
+  const [tab, setTab] = useState(recent.length > 0 ? RECENT_TAB : EMOJI_CATEGORIES[0].id);
+  const pickerRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointerDown = (event) => {
+      if (!pickerRef.current?.contains(event.target)) onClose();
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => document.removeEventListener('mousedown', handlePointerDown);
+  }, [onClose]);
+
+  const emojis = query
+    ? searchEmoji(query, { limit: 48 })
+    : tab === RECENT_TAB
+      ? recent
+      : EMOJI_CATEGORIES.find((category) => category.id === tab).emojis;
+
+  const pick = (emoji) => {
+    recentStore.add(emoji);
+    insertAtCursor(getEmojiChar(emoji, skinTone));
+    onClose();
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'Enter' && emojis.length > 0) {
+      e.preventDefault();
+      pick(emojis[0]);
+    }
+  };
+
+  const tabs = [
+    ...(recent.length > 0 ? [{ id: RECENT_TAB, label: 'Recently used', icon: '🕘' }] : []),
+    ...EMOJI_CATEGORIES,
+  ];
+
+  return (
+    <div
+      ref={pickerRef}
+      role="dialog"
+      aria-label="Emoji picker"
+      style={{
+        position: 'absolute',
+        bottom: 'calc(100% + 8px)',
+        left: 0,
+        zIndex: 10,
+        width: '320px',
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+      }}
+    >
+      <input
+        type="search"
+        autoFocus
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleSearchKeyDown}
+        placeholder="Search emoji"
+        aria-label="Search emoji"
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '6px 8px',
+          fontSize: '14px',
+          border: '1px solid #ddd',
+          borderRadius: '4px',
+        }}
+      />
+
+      {!query && (
+        <div role="tablist" aria-label="Emoji categories" style={{ display: 'flex', gap: '2px', marginTop: '8px' }}>
+          {tabs.map((category) => (
+            <button
+              key={category.id}
+              role="tab"
+              aria-selected={tab === category.id}
+              title={category.label}
+              onClick={() => setTab(category.id)}
+              style={{
+                flex: 1,
+                padding: '4px 0',
+                fontSize: '16px',
+                border: 'none',
+                borderBottom: `2px solid ${tab === category.id ? '#007a5e' : 'transparent'}`,
+                background: 'none',
+                cursor: 'pointer',
+              }}
+            >
+              {category.icon}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(8, 1fr)',
+          gap: '2px',
+          height: '192px',
+          overflowY: 'auto',
+          marginTop: '8px',
+          alignContent: 'start',
+        }}
+      >
+        {emojis.map((emoji) => (
+          <button
+            key={emoji.shortcodes[0]}
+            title={`:${emoji.shortcodes[0]}:`}
+            aria-label={emoji.name}
+            onClick={() => pick(emoji)}
+            style={{
+              padding: '4px 0',
+              fontSize: '20px',
+              border: 'none',
+              borderRadius: '4px',
+              background: 'none',
+              cursor: 'pointer',
+            }}
+          >
+            {getEmojiChar(emoji, skinTone)}
+          </button>
+        ))}
+        {emojis.length === 0 && (
+          <p style={{ gridColumn: '1 / -1', margin: '8px 0', color: '#999', fontSize: '12px' }}>
+            No emoji found
+          </p>
+        )}
+      </div>
+
+      <div
+        role="radiogroup"
+        aria-label="Skin tone"
+        style={{ display: 'flex', gap: '2px', marginTop: '8px', paddingTop: '8px', borderTop: '1px solid #eee' }}
+      >
+        {SKIN_TONES.map((tone) => (
+          <button
+            key={tone.id}
+            role="radio"
+            aria-checked={skinTone === tone.id}
+            title={tone.label}
+            onClick={() => recentStore.setSkinTone(tone.id)}
+            style={{
+              padding: '2px 4px',
+              fontSize: '16px',
+              border: `1px solid ${skinTone === tone.id ? '#007a5e' : 'transparent'}`,
+              borderRadius: '4px',
+              background: 'none',
+              cursor: 'pointer',
+            }}
+          >
+            {tone.swatch}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ComposerEmojiAutocomplete - ':shortcode' suggestions for the input
+ *
+ * Opens after ':' and two characters (so "10:30" or "Note: " don't), and
+ * inserts the chosen emoji in the user's skin tone. Shortcodes typed out
+ * in full are converted on submit by emojiShortcodesPlugin instead.
+ */
+export function ComposerEmojiAutocomplete({ userId }) {
+  const { replaceRange } = useComposerActions();
+  const recentStore = getRecentEmojiStore(userId);
+  const { skinTone } = useRecentEmoji(recentStore);
+  const { isOpen, items, activeIndex, setActiveIndex, choose } = useAutocomplete({
+    trigger: ':',
+    source: emojiShortcodeSource,
+    minQueryLength: 2,
+    queryPattern: SHORTCODE_QUERY,
+    onSelect: (emoji, range) => {
+      recentStore.add(emoji);
+      replaceRange(range.start, range.end, getEmojiChar(emoji, skinTone));
+    },
+  });
+
+  // Unlike mentions, an unknown shortcode just stays text - no empty list
+  if (!isOpen || items.length === 0) return null;
+
+  return (
+    <ComposerSuggestionList
+      label="Emoji"
+      items={items}
+      activeIndex={activeIndex}
+      onChoose={choose}
+      onHighlight={setActiveIndex}
+      getKey={(emoji) => emoji.shortcodes[0]}
+      renderItem={(emoji) => (
+        <span style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <span style={{ fontSize: '18px' }}>{getEmojiChar(emoji, skinTone)}</span>
+          <span>:{emoji.shortcodes[0]}:</span>
+        </span>
+      )}
+    />
+  );
+}
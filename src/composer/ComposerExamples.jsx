@@ -1,15 +1,143 @@
-import React from 'react';
+import React, { useCallback, useRef, useState } from 'react';
 import { ComposerProvider } from './ComposerContext';
-import { useComposer } from './ComposerContextValue';
+import {
+  useComposerSelector,
+  useComposerActions,
+  useComposerKeyBinding,
+  SUBMIT_STATUS,
+} from './ComposerContextValue';
+import { shallowEqual } from './composerState';
+import {
+  trimWhitespacePlugin,
+  stripTrackingParamsPlugin,
+  clientTimestampPlugin,
+} from './composerPlugins';
+import { requireContent } from './validators';
+import {
+  createUserDirectorySource,
+  insertMentionTrigger,
+  mentionsPlugin,
+} from './mentions';
+import { ComposerMentionPopover } from './ComposerMentions';
+import { emojiShortcodesPlugin } from './emoji';
+import { richTextPlugin } from './richText';
+import { createMemoryLinkResolver } from './linkPreviews';
+import { ComposerLinkPreviews } from './ComposerLinkPreviews';
+import { ComposerCharacterCounter } from './ComposerStats';
+import { ComposerTypingUsers } from './ComposerTypingUsers';
+import { createMemoryPresenceTransport } from './typingPresence';
+import { ComposerEmojiPicker, ComposerEmojiAutocomplete } from './ComposerEmoji';
+import {
+  createCommandRegistry,
+  createSlashCommandsPlugin,
+  createRemindCommand,
+  shrugCommand,
+  topicCommand,
+  pollCommand,
+} from './slashCommands';
+import { ComposerSlashCommands } from './ComposerSlashCommands';
+import { createFakeUploader } from './uploads';
 import {
   ComposerContainer,
   ComposerInput,
   ComposerFooter,
   ComposerActions,
   ComposerButton,
+  ComposerFormattingToolbar,
   ComposerAttachments,
 } from './ComposerComponents';
 
+// Channel messages may be just a file; thread replies and edits need text
+const channelValidators = [requireContent({ allowAttachmentOnly: true })];
+const messageValidators = [requireContent()];
+
+// The counter turns amber near the end and Send stops at the hard limit
+const messageLimits = { soft: 3800, hard: 4000 };
+
+// What a message may carry, however the files come in
+const messageAttachmentLimits = {
+  maxCount: 10,
+  maxSize: 25 * 1024 * 1024,
+  accept: ['image/*', 'video/*', 'audio/*', 'application/pdf', 'text/*', '.zip', '.docx', '.xlsx', '.pptx'],
+};
+
+// Stand-in for the file service; a file named "fail..." fails to upload,
+// to try Retry
+const demoUploader = createFakeUploader({
+  duration: 2000,
+  shouldFail: (file) => file.name.toLowerCase().startsWith('fail'),
+});
+
+// Stand-in for the unfurl service: knows a few pages, the rest have no preview
+const demoLinkResolver = createMemoryLinkResolver({
+  'https://react.dev': {
+    siteName: 'React',
+    title: 'React',
+    description: 'The library for web and native user interfaces',
+  },
+  'https://github.com': {
+    siteName: 'GitHub',
+    title: 'GitHub: Let’s build from here',
+    description: 'GitHub is where over 100 million developers shape the future of software, together.',
+  },
+  'https://developer.mozilla.org': {
+    siteName: 'MDN Web Docs',
+    title: 'MDN Web Docs',
+    description: 'Documenting web technologies, including CSS, HTML, and JavaScript, since 2005.',
+  },
+});
+
+// Stand-in for the presence service. The demo composers all type as the
+// same user, who is left out of their own typing indicator; others' typing
+// comes from sendTyping() (see "Simulate teammates typing" in ComposerDemo)
+const demoPresenceTransport = createMemoryPresenceTransport();
+
+// Stand-in for the reminder service
+const remindCommand = createRemindCommand(({ who, what, at }) => {
+  window.setTimeout(() => window.alert(`Reminder for ${who}: ${what}`), at - Date.now());
+});
+
+// Each composer gets the commands that make sense where it is used
+const channelCommands = createCommandRegistry([remindCommand, shrugCommand, topicCommand, pollCommand]);
+const threadCommands = createCommandRegistry([remindCommand, shrugCommand]);
+
+// Clean up and stamp every new message before it is sent, run its slash
+// command, resolve mentions against the final text (after :shortcodes:
+// became emoji) and send it as a document as well
+const createMessagePlugins = (commands) => [
+  trimWhitespacePlugin,
+  stripTrackingParamsPlugin,
+  clientTimestampPlugin,
+  emojiShortcodesPlugin,
+  createSlashCommandsPlugin(commands),
+  mentionsPlugin,
+  richTextPlugin,
+];
+const channelPlugins = createMessagePlugins(channelCommands);
+const threadPlugins = createMessagePlugins(threadCommands);
+
+// Stand-in for the workspace's member directory
+// Recently used emoji are kept per user; the demo has a single one
+const DEMO_USER_ID = 'me';
+const DEMO_USER_NAME = 'You';
+
+const memberDirectory = createUserDirectorySource([
+  { id: 'u1', name: 'Ada Lovelace', handle: 'ada' },
+  { id: 'u2', name: 'Grace Hopper', handle: 'grace' },
+  { id: 'u3', name: 'Alan Turing', handle: 'alan' },
+  { id: 'u4', name: 'Katherine Johnson', handle: 'katherine' },
+  { id: 'u5', name: 'Linus Torvalds', handle: 'linus' },
+]);
+
+// Submit buttons only need these primitives, so they skip re-rendering
+// on keystrokes that don't change them
+const selectSubmitState = ({ status, error, errors, canSubmit, isSubmitting }) => ({
+  failed: status === SUBMIT_STATUS.FAILED,
+  hint: status === SUBMIT_STATUS.FAILED ? error?.message : Object.values(errors).flat()[0],
+  canSubmit,
+  isSubmitting,
+});
+
 /**
  * ChannelComposer - Composition example #1
  * 
@@ -19,10 +147,40 @@ import {
  * 
  * Key principle: The interface (JSX structure) is determined by the caller,
  * not by the component. This is pure composition.
+ * 
+ * Like every example composer, it forwards `ref` to the provider, so the
+ * caller gets the imperative handle (focus, insertText, ...).
+ * Inside a ComposerManagerProvider it is known as 'channel:<name>' (and
+ * ThreadComposer as 'thread:<id>'), see composerManager.js.
  */
-export function ChannelComposer({ channelName, onSendMessage }) {
+export function ChannelComposer({
+  ref,
+  channelName,
+  currentUserId = DEMO_USER_ID,
+  currentUserName = DEMO_USER_NAME,
+  uploader = demoUploader,
+  linkResolver = demoLinkResolver,
+  presenceTransport = demoPresenceTransport,
+  onSendMessage,
+}) {
+  const conversationId = `channel:${channelName}`;
+
   return (
     <ComposerProvider
+      ref={ref}
+      draftKey={`channel:${channelName}`}
+      composerId={conversationId}
+      validators={channelValidators}
+      limits={messageLimits}
+      plugins={channelPlugins}
+      attachmentLimits={messageAttachmentLimits}
+      uploader={uploader}
+      linkResolver={linkResolver}
+      presence={{
+        transport: presenceTransport,
+        conversationId,
+        user: { id: currentUserId, name: currentUserName },
+      }}
       onSubmit={async (data) => {
         await onSendMessage({
           type: 'channel',
@@ -36,17 +194,28 @@ export function ChannelComposer({ channelName, onSendMessage }) {
           Message #{channelName}
         </div>
         
+        <ComposerFormattingToolbar />
         <ComposerInput placeholder={`Message #${channelName}`} />
+        <ComposerMentionPopover source={memberDirectory} />
+        <ComposerEmojiAutocomplete userId={currentUserId} />
+        <ComposerSlashCommands commands={channelCommands} />
         <ComposerAttachments />
+        <ComposerLinkPreviews />
 
         <ComposerFooter>
           <ComposerActions>
             <ChannelAttachButton />
-            <ChannelEmojiButton />
+            <ChannelEmojiButton userId={currentUserId} />
           </ComposerActions>
 
+          <ComposerCharacterCounter />
           <SubmitButton />
         </ComposerFooter>
+        <ComposerTypingUsers
+          transport={presenceTransport}
+          conversationId={conversationId}
+          currentUserId={currentUserId}
+        />
       </ComposerContainer>
     </ComposerProvider>
   );
@@ -59,9 +228,35 @@ export function ChannelComposer({ channelName, onSendMessage }) {
  * The thread context is stored in metadata, allowing the provider
  * to remain generic while the caller determines structure.
  */
-export function ThreadComposer({ threadId, channelName, onReplyToThread }) {
+export function ThreadComposer({
+  ref,
+  threadId,
+  channelName,
+  currentUserId = DEMO_USER_ID,
+  currentUserName = DEMO_USER_NAME,
+  uploader = demoUploader,
+  linkResolver = demoLinkResolver,
+  presenceTransport = demoPresenceTransport,
+  onReplyToThread,
+}) {
+  const conversationId = `thread:${threadId}`;
+
   return (
     <ComposerProvider
+      ref={ref}
+      draftKey={`thread:${threadId}`}
+      composerId={conversationId}
+      validators={messageValidators}
+      limits={messageLimits}
+      plugins={threadPlugins}
+      attachmentLimits={messageAttachmentLimits}
+      uploader={uploader}
+      linkResolver={linkResolver}
+      presence={{
+        transport: presenceTransport,
+        conversationId,
+        user: { id: currentUserId, name: currentUserName },
+      }}
       onSubmit={async (data) => {
         await onReplyToThread({
           type: 'thread_reply',
@@ -85,18 +280,28 @@ export function ThreadComposer({ threadId, channelName, onReplyToThread }) {
         </div>
 
         <ComposerInput placeholder="Reply in thread..." />
+        <ComposerMentionPopover source={memberDirectory} />
+        <ComposerEmojiAutocomplete userId={currentUserId} />
+        <ComposerSlashCommands commands={threadCommands} />
         <ComposerAttachments />
+        <ComposerLinkPreviews />
 
         <ComposerFooter>
           <ComposerActions>
             <ThreadMentionButton />
           </ComposerActions>
 
-          <div style={{ display: 'flex', gap: '8px' }}>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <ComposerCharacterCounter />
             <CancelButton />
             <SubmitButton variant="primary" />
           </div>
         </ComposerFooter>
+        <ComposerTypingUsers
+          transport={presenceTransport}
+          conversationId={conversationId}
+          currentUserId={currentUserId}
+        />
       </ComposerContainer>
     </ComposerProvider>
   );
@@ -108,11 +313,28 @@ export function ThreadComposer({ threadId, channelName, onReplyToThread }) {
  * Yet another variation. Notice how the composer works the same way,
  * but the composition is different because this is an edit context,
  * not a new message context.
+ * 
+ * The draft is controlled: if the message changes underneath us (edited
+ * from another tab, say) the composer picks up the new text, and the
+ * header can tell whether there is anything to save.
  */
-export function EditMessageComposer({ messageId, currentContent, onSaveEdit }) {
+export function EditMessageComposer({ ref, messageId, currentContent, onSaveEdit, onCancelEdit }) {
+  const [draft, setDraft] = useState({ content: currentContent });
+  const [seededContent, setSeededContent] = useState(currentContent);
+  if (currentContent !== seededContent) {
+    setSeededContent(currentContent);
+    setDraft({ content: currentContent });
+  }
+
+  const hasChanges = draft.content !== currentContent;
+
   return (
     <ComposerProvider
-      initialValue={currentContent}
+      ref={ref}
+      value={draft}
+      onValueChange={setDraft}
+      validators={messageValidators}
+      limits={messageLimits}
       onSubmit={async (data) => {
         await onSaveEdit({
           type: 'edit_message',
@@ -121,7 +343,7 @@ export function EditMessageComposer({ messageId, currentContent, onSaveEdit }) {
         });
       }}
     >
-      <ComposerContainer style={{ borderColor: '#ffb703', backgroundColor: '#fffbf0' }}>
+      <ComposerContainer style={{ borderColor: '#ffb703', backgroundColor: '#fffbf0' }} allowFileDrop={false}>
         <div
           style={{
             fontSize: '12px',
@@ -129,14 +351,15 @@ export function EditMessageComposer({ messageId, currentContent, onSaveEdit }) {
             fontWeight: '500',
           }}
         >
-          Editing message
+          Editing message{hasChanges && ' (unsaved changes)'}
         </div>
 
-        <ComposerInput placeholder="Edit your message..." />
+        <ComposerInput placeholder="Edit your message..." allowFilePaste={false} />
 
         <ComposerFooter>
-          <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
-            <EditCancelButton />
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <ComposerCharacterCounter />
+            <EditCancelButton onCancel={onCancelEdit} />
             <SaveEditButton />
           </div>
         </ComposerFooter>
@@ -158,57 +381,83 @@ export function EditMessageComposer({ messageId, currentContent, onSaveEdit }) {
  * within the ComposerProvider tree.
  */
 function ChannelAttachButton() {
-  const { addAttachment } = useComposer();
-
-  const handleAttach = () => {
-    // Simulate file selection
-    const fakeFile = {
-      id: Date.now(),
-      name: 'document.pdf',
-      size: '2.4 MB',
-    };
-    addAttachment(fakeFile);
-  }
+  const { addFiles } = useComposerActions();
+  const fileInputRef = useRef(null);
+
+  const handleFilesChosen = (e) => {
+    addFiles(e.target.files);
+    // Clear it so choosing the same file again still fires a change
+    e.target.value = '';
+  };
 
   return (
-    <ComposerButton onClick={handleAttach} title="Attach file">
-      📎 Attach
-    </ComposerButton>
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={messageAttachmentLimits.accept.join(',')}
+        onChange={handleFilesChosen}
+        hidden
+      />
+      <ComposerButton onClick={() => fileInputRef.current.click()} title="Attach file">
+        📎 Attach
+      </ComposerButton>
+    </>
   );
 }
 
-function ChannelEmojiButton() {
+// Opens the picker above the button; the pick goes in at the cursor
+function ChannelEmojiButton({ userId = DEMO_USER_ID }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const close = useCallback(() => setIsOpen(false), []);
+
   return (
-    <ComposerButton title="Add emoji">
-      😊 Emoji
-    </ComposerButton>
+    <div style={{ position: 'relative' }}>
+      <ComposerButton
+        onClick={() => setIsOpen((open) => !open)}
+        // Keep the picker's outside-click handler from closing it first,
+        // only for this click to open it again
+        onMouseDown={(e) => isOpen && e.stopPropagation()}
+        title="Add emoji"
+        aria-expanded={isOpen}
+      >
+        😊 Emoji
+      </ComposerButton>
+      {isOpen && <ComposerEmojiPicker userId={userId} onClose={close} />}
+    </div>
   );
 }
 
+// Types an '@', which opens the same popover as typing it by hand
 function ThreadMentionButton() {
+  const { applyEdit } = useComposerActions();
+
   return (
-    <ComposerButton title="Mention member">
+    <ComposerButton onClick={() => applyEdit(insertMentionTrigger)} title="Mention member">
       @ Mention
     </ComposerButton>
   );
 }
 
 function SubmitButton({ variant = 'primary' }) {
-  const { submit, content, isSubmitting } = useComposer();
+  const { submit, retry } = useComposerActions();
+  const { failed, hint, canSubmit, isSubmitting } = useComposerSelector(selectSubmitState, shallowEqual);
 
   return (
     <ComposerButton
       variant={variant}
-      onClick={() => submit()}
-      disabled={!content.trim()}
+      onClick={() => (failed ? retry() : submit())}
+      disabled={!canSubmit}
+      title={hint}
     >
-      {isSubmitting ? 'Sending...' : 'Send'}
+      {isSubmitting ? 'Sending...' : failed ? 'Failed – retry' : 'Send'}
     </ComposerButton>
   );
 }
 
 function CancelButton() {
-  const { reset } = useComposer();
+  const { reset } = useComposerActions();
 
   return (
     <ComposerButton onClick={reset}>
@@ -217,24 +466,29 @@ function CancelButton() {
   );
 }
 
-function EditCancelButton() {
+// Escape cancels the edit instead of just clearing the text
+function EditCancelButton({ onCancel }) {
+  useComposerKeyBinding('Escape', onCancel);
+
   return (
-    <ComposerButton>
+    <ComposerButton onClick={onCancel} title="Cancel edit (Esc)">
       Cancel Edit
     </ComposerButton>
   );
 }
 
 function SaveEditButton() {
-  const { submit, content, isSubmitting } = useComposer();
+  const { submit, retry } = useComposerActions();
+  const { failed, hint, canSubmit, isSubmitting } = useComposerSelector(selectSubmitState, shallowEqual);
 
   return (
     <ComposerButton
       variant="primary"
-      onClick={() => submit()}
-      disabled={!content.trim()}
+      onClick={() => (failed ? retry() : submit())}
+      disabled={!canSubmit}
+      title={hint}
     >
-      {isSubmitting ? 'Saving...' : 'Save Edit'}
+      {isSubmitting ? 'Saving...' : failed ? 'Failed – retry' : 'Save Edit'}
     </ComposerButton>
   );
 }
@@ -0,0 +1,116 @@
+import { useComposerActions, useComposerSelector } from './ComposerContextValue';
+import { LINK_PREVIEW_STATUS } from './linkPreviews';
+
+const cardStyle = {
+  position: 'relative',
+  display: 'flex',
+  gap: '8px',
+  padding: '8px 28px 8px 8px',
+  borderLeft: '3px solid #ddd',
+  borderRadius: '4px',
+  backgroundColor: '#fafafa',
+  fontSize: '12px',
+  maxWidth: '480px',
+};
+
+const isWebUrl = (url) => /^https?:\/\//i.test(url ?? '');
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * LinkPreviewCard - One link's preview: site, title (linking to the
+ * page), description and image. Links and images are only used when they
+ * are http(s), so a resolver can't put anything unsafe into the page.
+ * `onRemove` adds a remove button.
+ */
+export function LinkPreviewCard({ preview, onRemove }) {
+  const href = isWebUrl(preview.url) ? preview.url : null;
+  const image = isWebUrl(preview.image) ? preview.image : null;
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ color: '#999' }}>{preview.siteName || hostOf(preview.url)}</div>
+        <div style={{ fontWeight: 'bold' }}>
+          {href ? (
+            <a href={href} target="_blank" rel="noopener noreferrer nofollow" style={{ color: '#1264a3' }}>
+              {preview.title || preview.url}
+            </a>
+          ) : (
+            preview.title || preview.url
+          )}
+        </div>
+        {preview.description && <div style={{ color: '#555' }}>{preview.description}</div>}
+      </div>
+      {image && (
+        <img
+          src={image}
+          alt=""
+          style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '4px', flexShrink: 0 }}
+        />
+      )}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label={`Remove preview of ${preview.title || preview.url}`}
+          style={{
+            position: 'absolute',
+            top: '4px',
+            right: '4px',
+            background: 'none',
+            border: 'none',
+            cursor: 'pointer',
+            color: '#999',
+            fontSize: '14px',
+          }}
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
+
+const selectLinkPreviews = (state) => state.linkPreviews;
+
+/**
+ * ComposerLinkPreviews - Preview cards for the links in the draft
+ *
+ * Needs a `linkResolver` on the provider (see linkPreviews.js). Shows a
+ * placeholder while a link is looked up and a removable card once it is
+ * found; removed cards aren't sent with the message. Put it above
+ * ComposerFooter.
+ */
+export function ComposerLinkPreviews() {
+  const linkPreviews = useComposerSelector(selectLinkPreviews);
+  const { dismissLinkPreview } = useComposerActions();
+
+  const visible = linkPreviews.filter((entry) =>
+    !entry.dismissed &&
+    (entry.status === LINK_PREVIEW_STATUS.LOADING || entry.status === LINK_PREVIEW_STATUS.READY)
+  );
+  if (visible.length === 0) return null;
+
+  return (
+    <div aria-label="Link previews" role="list" style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      {visible.map((entry) => (
+        <div key={entry.url} role="listitem">
+          {entry.status === LINK_PREVIEW_STATUS.READY ? (
+            <LinkPreviewCard preview={entry.preview} onRemove={() => dismissLinkPreview(entry.url)} />
+          ) : (
+            <div style={{ ...cardStyle, color: '#999' }} aria-busy="true">
+              Loading preview of {hostOf(entry.url)}…
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
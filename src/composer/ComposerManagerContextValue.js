@@ -0,0 +1,41 @@
+import React, { createContext, useSyncExternalStore } from 'react';
+
+/**
+ * ComposerManagerContext - The context object for the composer manager
+ * 
+ * Separated into its own file to enable Fast Refresh in development,
+ * like ComposerContextValue.js.
+ */
+export const ComposerManagerContext = createContext(null);
+
+/**
+ * useComposerManager - Access the composer manager (getDraftStore,
+ * discardDraft, ...), see composerManager.js
+ */
+export function useComposerManager() {
+  const manager = React.useContext(ComposerManagerContext);
+  if (!manager) {
+    throw new Error('useComposerManager must be used within ComposerManagerProvider');
+  }
+  return manager;
+}
+
+const selectFocusedId = (state) => state.focusedId;
+
+/**
+ * useFocusedComposerId - The id of the composer whose text field has
+ * focus, or null
+ */
+export function useFocusedComposerId() {
+  const manager = useComposerManager();
+  return useSyncExternalStore(manager.subscribe, () => selectFocusedId(manager.getState()));
+}
+
+/**
+ * useUnsentDrafts - [{ id, draft, isMounted }] for every composer with a
+ * draft not sent yet, mounted or not
+ */
+export function useUnsentDrafts() {
+  const manager = useComposerManager();
+  return useSyncExternalStore(manager.subscribe, manager.getUnsentDrafts);
+}
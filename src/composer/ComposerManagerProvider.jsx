@@ -0,0 +1,31 @@
+import { useState } from 'react';
+import { ComposerManagerContext } from './ComposerManagerContextValue';
+import { createComposerManager } from './composerManager';
+
+/**
+ * ComposerManagerProvider - One place that knows every composer
+ * 
+ * Wrap the part of the app with several composers, and give each one a
+ * `composerId`:
+ * 
+ * <ComposerManagerProvider>
+ *   <ChannelComposer channelName="general" />       // composerId 'channel:general'
+ *   <ThreadComposer threadId={selectedThreadId} />  // composerId 'thread:<id>'
+ *   <UnsentDraftsList />
+ * </ComposerManagerProvider>
+ * 
+ * Then useComposer(id) reaches a specific composer from anywhere below,
+ * useFocusedComposerId() tells which one has focus, and useUnsentDrafts()
+ * lists the drafts not sent yet. Drafts are kept by id while the
+ * provider is mounted, so a thread composer that switches threads (or
+ * unmounts) picks its draft up again. See composerManager.js.
+ */
+export function ComposerManagerProvider({ children }) {
+  const [manager] = useState(createComposerManager);
+
+  return (
+    <ComposerManagerContext.Provider value={manager}>
+      {children}
+    </ComposerManagerContext.Provider>
+  );
+}
@@ -0,0 +1,45 @@
+import { useComposerActions } from './ComposerContextValue';
+import { useAutocomplete } from './autocomplete';
+import { insertMention } from './mentions';
+import { ComposerSuggestionList } from './ComposerComponents';
+
+/**
+ * ComposerMentionPopover - '@' autocomplete for the composer's input
+ *
+ * Opens when '@' is typed (or inserted by a Mention button) and suggests
+ * users from `source` - an async user directory, see mentions.js.
+ * Picking one inserts '@Name' and records the mention; add mentionsPlugin
+ * to the provider to submit them as structured entities.
+ *
+ * Like everything else it is placed by the caller - a composer without
+ * it simply has no mentions.
+ */
+export function ComposerMentionPopover({ source, minQueryLength = 0 }) {
+  const { applyEdit } = useComposerActions();
+  const { isOpen, items, loading, activeIndex, setActiveIndex, choose } = useAutocomplete({
+    trigger: '@',
+    source,
+    minQueryLength,
+    onSelect: (user, range) => applyEdit(insertMention(user, range)),
+  });
+
+  if (!isOpen) return null;
+
+  return (
+    <ComposerSuggestionList
+      label="Mention someone"
+      items={items}
+      activeIndex={activeIndex}
+      loading={loading}
+      emptyText="No one found"
+      onChoose={choose}
+      onHighlight={setActiveIndex}
+      renderItem={(user) => (
+        <span style={{ display: 'flex', gap: '8px', alignItems: 'baseline' }}>
+          <strong>{user.name}</strong>
+          {user.handle && <span style={{ color: '#999', fontSize: '12px' }}>@{user.handle}</span>}
+        </span>
+      )}
+    />
+  );
+}
@@ -0,0 +1,275 @@
+import { useMemo } from 'react';
+import { useComposerActions, useComposerSelector } from './ComposerContextValue';
+import {
+  BLOCK_TYPES,
+  ENTITY_TYPES,
+  getInlineTree,
+  getSafeHref,
+  groupBlocks,
+  parseMarkdown,
+} from './richText';
+import { highlightCode, TOKEN_TYPES } from './syntaxHighlight';
+import { formatFileSize, getFileIcon } from './attachments';
+import { getSelectedLinkPreviews } from './linkPreviews';
+import { LinkPreviewCard } from './ComposerLinkPreviews';
+
+const TOKEN_COLORS = {
+  [TOKEN_TYPES.KEYWORD]: '#cf222e',
+  [TOKEN_TYPES.STRING]: '#0a3069',
+  [TOKEN_TYPES.COMMENT]: '#6e7781',
+  [TOKEN_TYPES.NUMBER]: '#0550ae',
+};
+
+const mentionChipStyle = {
+  padding: '0 4px',
+  borderRadius: '4px',
+  backgroundColor: '#e8f0fe',
+  color: '#1264a3',
+  fontWeight: 500,
+};
+
+const inlineCodeStyle = {
+  padding: '1px 4px',
+  borderRadius: '3px',
+  backgroundColor: '#f0f0f0',
+  border: '1px solid #e0e0e0',
+  fontFamily: 'monospace',
+  fontSize: '0.9em',
+  color: '#c7254e',
+};
+
+const codeBlockStyle = {
+  margin: '4px 0',
+  padding: '8px',
+  borderRadius: '4px',
+  backgroundColor: '#f6f8fa',
+  border: '1px solid #e0e0e0',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+};
+
+const blockStyle = { margin: 0, wordBreak: 'break-word' };
+
+// Attachments are only shown from addresses a browser can load safely
+const DISPLAYABLE_URL = /^(?:https?:|blob:)/i;
+
+const defaultResolveAttachmentUrl = (attachment) =>
+  attachment.url && DISPLAYABLE_URL.test(attachment.url) ? attachment.url : null;
+
+/**
+ * MessageView - A message as recipients see it
+ *
+ * Renders a message payload: its `doc` (see richText.js) or, without one,
+ * its markdown `content` with `mentions` - formatting, mention chips,
+ * links, highlighted code blocks - followed by its link previews and
+ * attachments.
+ * Everything is built as React elements, so no markup in the message can
+ * get into the page, and only http(s)/mailto links become links.
+ *
+ * It doesn't need a composer, so message lists and ComposerMessagePreview
+ * render messages the same way. `resolveAttachmentUrl(attachment)` gives
+ * the address to show an attachment's image or video from (e.g. an object
+ * URL); by default its http(s) or blob: `url`.
+ */
+export function MessageView({ message, resolveAttachmentUrl = defaultResolveAttachmentUrl }) {
+  const { doc: sentDoc, content = '', mentions, linkPreviews = [], attachments = [] } = message;
+  const doc = useMemo(
+    () => sentDoc ?? parseMarkdown(content, { mentions }),
+    [sentDoc, content, mentions]
+  );
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', lineHeight: 1.5 }}>
+      {groupBlocks(doc.blocks).map((group, index) => (
+        <MessageBlockGroup key={index} group={group} />
+      ))}
+      {linkPreviews.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '4px' }}>
+          {linkPreviews.map((preview) => <LinkPreviewCard key={preview.url} preview={preview} />)}
+        </div>
+      )}
+      {attachments.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '4px' }}>
+          {attachments.map((attachment) => (
+            <MessageAttachment
+              key={attachment.id}
+              attachment={attachment}
+              url={resolveAttachmentUrl(attachment)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MessageBlockGroup({ group }) {
+  const { type, blocks } = group;
+
+  switch (type) {
+    case BLOCK_TYPES.BULLET_ITEM:
+      return (
+        <ul style={{ ...blockStyle, paddingLeft: '20px' }}>
+          {blocks.map((block, index) => <li key={index}><InlineContent block={block} /></li>)}
+        </ul>
+      );
+    case BLOCK_TYPES.NUMBERED_ITEM:
+      return (
+        <ol start={blocks[0].number} style={{ ...blockStyle, paddingLeft: '20px' }}>
+          {blocks.map((block, index) => <li key={index}><InlineContent block={block} /></li>)}
+        </ol>
+      );
+    case BLOCK_TYPES.QUOTE:
+      return (
+        <blockquote style={{ ...blockStyle, paddingLeft: '8px', borderLeft: '3px solid #ddd', color: '#555' }}>
+          {blocks.map((block, index) => (
+            <div key={index}>{block.text ? <InlineContent block={block} /> : <br />}</div>
+          ))}
+        </blockquote>
+      );
+    case BLOCK_TYPES.CODE_BLOCK:
+      return <CodeBlock block={blocks[0]} />;
+    default:
+      return (
+        <p style={blockStyle}>
+          {blocks[0].text ? <InlineContent block={blocks[0]} /> : <br />}
+        </p>
+      );
+  }
+}
+
+function CodeBlock({ block }) {
+  const tokens = useMemo(() => highlightCode(block.text, block.language), [block.text, block.language]);
+
+  return (
+    <pre style={codeBlockStyle}>
+      <code data-language={block.language ?? undefined}>
+        {tokens.map((token, index) =>
+          TOKEN_COLORS[token.type]
+            ? <span key={index} style={{ color: TOKEN_COLORS[token.type] }}>{token.text}</span>
+            : token.text
+        )}
+      </code>
+    </pre>
+  );
+}
+
+function InlineContent({ block }) {
+  return renderInlineNodes(getInlineTree(block));
+}
+
+const renderInlineNodes = (nodes) => nodes.map((node, index) =>
+  typeof node === 'string' ? node : <InlineRange key={index} range={node.range}>{renderInlineNodes(node.children)}</InlineRange>
+);
+
+function InlineRange({ range, children }) {
+  switch (range.type) {
+    case 'bold':
+      return <strong>{children}</strong>;
+    case 'italic':
+      return <em>{children}</em>;
+    case 'strikethrough':
+      return <s>{children}</s>;
+    case 'code':
+      return <code style={inlineCodeStyle}>{children}</code>;
+    case ENTITY_TYPES.MENTION:
+      return <span data-user-id={range.userId} style={mentionChipStyle}>{children}</span>;
+    case ENTITY_TYPES.LINK: {
+      const href = getSafeHref(range.href);
+      return href
+        ? <a href={href} target="_blank" rel="noopener noreferrer nofollow" style={{ color: '#1264a3' }}>{children}</a>
+        : <span>{children}</span>;
+    }
+    default:
+      return <span>{children}</span>;
+  }
+}
+
+function MessageAttachment({ attachment, url }) {
+  const type = attachment.type ?? '';
+  let preview = null;
+  if (url && type.startsWith('image/')) {
+    preview = <img src={url} alt={attachment.caption || attachment.name} style={mediaStyle} />;
+  } else if (url && type.startsWith('video/')) {
+    preview = <video src={url} controls preload="metadata" style={mediaStyle} />;
+  }
+
+  return (
+    <figure style={{ margin: 0, maxWidth: '200px', fontSize: '12px' }}>
+      {preview ?? (
+        <span
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '6px 8px',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            backgroundColor: 'white',
+          }}
+        >
+          <span aria-hidden="true">{getFileIcon(attachment)}</span>
+          <span style={{ wordBreak: 'break-all' }}>{attachment.name}</span>
+          {attachment.size != null && <span style={{ color: '#999' }}>{formatFileSize(attachment.size)}</span>}
+        </span>
+      )}
+      {attachment.caption && (
+        <figcaption style={{ marginTop: '2px', color: '#666' }}>{attachment.caption}</figcaption>
+      )}
+    </figure>
+  );
+}
+
+const mediaStyle = {
+  display: 'block',
+  maxWidth: '200px',
+  maxHeight: '150px',
+  borderRadius: '4px',
+  objectFit: 'cover',
+};
+
+const selectContent = (state) => state.content;
+const selectMentions = (state) => state.metadata.mentions;
+const selectAttachments = (state) => state.attachments;
+const selectPreviews = (state) => state.previews;
+const selectLinkPreviews = (state) => state.linkPreviews;
+
+/**
+ * ComposerMessagePreview - The draft as it will be sent
+ *
+ * Renders the draft with MessageView after the provider's content
+ * transforms (emoji :shortcodes:, trimming, ...), with the link previews
+ * that will be sent and the thumbnails of attached files.
+ * `resolveAttachmentUrl` covers attachments with a url instead of a File.
+ */
+export function ComposerMessagePreview({ resolveAttachmentUrl = defaultResolveAttachmentUrl }) {
+  const { transformContent } = useComposerActions();
+  const content = useComposerSelector(selectContent);
+  const mentions = useComposerSelector(selectMentions);
+  const attachments = useComposerSelector(selectAttachments);
+  const previews = useComposerSelector(selectPreviews);
+  const linkPreviews = useComposerSelector(selectLinkPreviews);
+
+  const message = useMemo(
+    () => ({
+      content: transformContent(content),
+      mentions,
+      linkPreviews: getSelectedLinkPreviews(linkPreviews),
+      attachments,
+    }),
+    [transformContent, content, mentions, linkPreviews, attachments]
+  );
+
+  if (!message.content && attachments.length === 0) {
+    return <p style={{ margin: 0, color: '#999', fontStyle: 'italic' }}>Nothing to preview yet</p>;
+  }
+
+  return (
+    <MessageView
+      message={message}
+      resolveAttachmentUrl={(attachment) => previews[attachment.id] ?? resolveAttachmentUrl(attachment)}
+    />
+  );
+}
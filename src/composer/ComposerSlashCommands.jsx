@@ -0,0 +1,72 @@
+import { useComposerActions, useComposerSelector } from './ComposerContextValue';
+import { useAutocomplete } from './autocomplete';
+import { parseCommand, SLASH_COMMANDS_PLUGIN } from './slashCommands';
+import { ComposerSuggestionList } from './ComposerComponents';
+
+const COMMAND_NAME_QUERY = /^[\w-]*$/;
+
+const selectCommandName = (state) => parseCommand(state.content)?.name ?? null;
+
+// Only while the draft is still the one the command failed on
+const selectCommandError = (state) => {
+  const error = state.pluginState[SLASH_COMMANDS_PLUGIN]?.error;
+  return error && error.content === state.content ? error.message : null;
+};
+
+/**
+ * ComposerSlashCommands - Command menu and hints for the composer's input
+ *
+ * Typing '/' at the start of the input lists the commands of `commands`
+ * (a registry, see slashCommands.js), filtered as you type. Once a command
+ * is chosen it shows that command's arguments, and the error from the
+ * last attempt to run it. Pair it with createSlashCommandsPlugin on the
+ * provider, which runs the commands on submit.
+ */
+export function ComposerSlashCommands({ commands }) {
+  const { replaceRange } = useComposerActions();
+  const commandName = useComposerSelector(selectCommandName);
+  const error = useComposerSelector(selectCommandError);
+  const { isOpen, items, activeIndex, setActiveIndex, choose } = useAutocomplete({
+    trigger: '/',
+    source: commands.search,
+    queryPattern: COMMAND_NAME_QUERY,
+    startOnly: true,
+    onSelect: (command, range) => replaceRange(range.start, range.end, `/${command.name} `),
+  });
+
+  if (isOpen && items.length > 0) {
+    return (
+      <ComposerSuggestionList
+        label="Commands"
+        items={items}
+        activeIndex={activeIndex}
+        onChoose={choose}
+        onHighlight={setActiveIndex}
+        getKey={(command) => command.name}
+        renderItem={(command) => (
+          <span style={{ display: 'flex', flexDirection: 'column' }}>
+            <span>
+              <strong>/{command.name}</strong>{' '}
+              {command.args && <span style={{ color: '#999' }}>{command.args}</span>}
+            </span>
+            <span style={{ color: '#666', fontSize: '12px' }}>{command.description}</span>
+          </span>
+        )}
+      />
+    );
+  }
+
+  const command = !isOpen && commandName ? commands.get(commandName) : null;
+  if (!command && !error) return null;
+
+  return (
+    <div role="status" style={{ fontSize: '12px', color: '#666' }}>
+      {command && (
+        <div>
+          <strong>/{command.name}</strong> {command.args}
+        </div>
+      )}
+      {error && <div style={{ color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+}
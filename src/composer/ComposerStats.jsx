@@ -0,0 +1,78 @@
+import { useComposerSelector } from './ComposerContextValue';
+import { LIMIT_LEVELS, useComposerTextStats } from './textStats';
+
+const LEVEL_COLORS = {
+  [LIMIT_LEVELS.OK]: '#999',
+  [LIMIT_LEVELS.WARNING]: '#b26a00',
+  [LIMIT_LEVELS.OVER]: '#d32f2f',
+};
+
+const selectLimitStatus = (state) => state.limitStatus;
+const selectAttachmentCount = (state) => state.attachments.length;
+
+const formatCount = (count) => count.toLocaleString();
+
+/**
+ * ComposerCharacterCounter - The draft's length against its limits
+ *
+ * Shows "120/2,000" against the provider's hard limit (or just the count
+ * without one), "80 left" past the soft limit and "25 over the limit"
+ * past the hard one, colored to match. Characters are counted as people
+ * see them, see textStats.js.
+ */
+export function ComposerCharacterCounter({ className = '' }) {
+  const { count, hard, remaining, level } = useComposerSelector(selectLimitStatus);
+
+  let label = formatCount(count);
+  if (level === LIMIT_LEVELS.OVER) label = `${formatCount(-remaining)} over the limit`;
+  else if (level === LIMIT_LEVELS.WARNING && remaining !== null) label = `${formatCount(remaining)} left`;
+  else if (hard !== null) label = `${formatCount(count)}/${formatCount(hard)}`;
+
+  return (
+    <span
+      className={`composer-character-counter ${className}`}
+      aria-live={level === LIMIT_LEVELS.OK ? 'off' : 'polite'}
+      style={{
+        fontSize: '12px',
+        color: LEVEL_COLORS[level],
+        fontWeight: level === LIMIT_LEVELS.OK ? 'normal' : 'bold',
+        fontVariantNumeric: 'tabular-nums',
+      }}
+    >
+      {label}
+    </span>
+  );
+}
+
+/**
+ * ComposerStats - Characters, words, lines and files in the draft
+ *
+ * The counts are only redone when the content changes, not on every
+ * render.
+ */
+export function ComposerStats({ className = '' }) {
+  const { characters, words, lines } = useComposerTextStats();
+  const files = useComposerSelector(selectAttachmentCount);
+  const { level } = useComposerSelector(selectLimitStatus);
+
+  const rows = [
+    ['Characters', characters, level === LIMIT_LEVELS.OK ? undefined : LEVEL_COLORS[level]],
+    ['Words', words],
+    ['Lines', lines],
+    ['Files', files],
+  ];
+
+  return (
+    <dl
+      className={`composer-stats ${className}`}
+      style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '0 8px', margin: 0, color: '#666' }}
+    >
+      {rows.map(([label, value, color]) => (
+        <div key={label} style={{ display: 'contents' }}>
+          <dt>{label}:</dt>
+          <dd style={{ margin: 0, color, fontVariantNumeric: 'tabular-nums' }}>{formatCount(value)}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
@@ -0,0 +1,23 @@
+import { formatTypingUsers, useTypingUsers } from './typingPresence';
+
+/**
+ * ComposerTypingUsers - "Ada and 2 others are typing…"
+ *
+ * Shows who else is typing in the conversation, as reported through the
+ * presence `transport` (see typingPresence.js). Leaves out
+ * `currentUserId`, and keeps its height when nobody is typing so the
+ * layout doesn't jump.
+ */
+export function ComposerTypingUsers({ transport, conversationId, currentUserId, className = '' }) {
+  const users = useTypingUsers(transport, conversationId, { currentUserId });
+
+  return (
+    <div
+      className={`composer-typing-users ${className}`}
+      aria-live="polite"
+      style={{ minHeight: '16px', fontSize: '12px', color: '#666', fontStyle: 'italic' }}
+    >
+      {formatTypingUsers(users)}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React, { createContext, useSyncExternalStore } from 'react';
+
+/**
+ * OutboxContext - The context object for the offline outbox
+ * 
+ * Separated into its own file to enable Fast Refresh in development,
+ * like ComposerContextValue.js.
+ */
+export const OutboxContext = createContext(null);
+
+/**
+ * useOutbox - Access the outbox (enqueue, retry, discard, flush)
+ * 
+ * `enqueue` can be passed straight to a composer's onSubmit: it resolves
+ * once the message is queued, so the composer clears immediately.
+ */
+export function useOutbox() {
+  const outbox = React.useContext(OutboxContext);
+  if (!outbox) {
+    throw new Error('useOutbox must be used within OutboxProvider');
+  }
+  return outbox;
+}
+
+/**
+ * usePendingMessages - Every queued, sending or failed entry, oldest first
+ */
+export function usePendingMessages() {
+  const outbox = useOutbox();
+  return useSyncExternalStore(outbox.subscribe, outbox.getState);
+}
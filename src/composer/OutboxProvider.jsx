@@ -0,0 +1,48 @@
+import React, { useEffect, useLayoutEffect, useState } from 'react';
+import { OutboxContext } from './OutboxContextValue';
+import { createOutbox, defaultOutboxStorage } from './outbox';
+
+/**
+ * OutboxProvider - Queued, retried delivery for composer submissions
+ * 
+ * Wrap the composers whose messages should survive going offline, and
+ * use the outbox's `enqueue` as their submit handler:
+ * 
+ * <OutboxProvider send={api.postMessage}>
+ *   <ChannelComposer onSendMessage={useOutbox().enqueue} ... />
+ * </OutboxProvider>
+ * 
+ * `send` receives the payload plus its `idempotencyKey` and should reject
+ * when delivery fails. Entries still queued from a previous visit are
+ * delivered on mount.
+ */
+export function OutboxProvider({
+  children,
+  send,
+  storage = defaultOutboxStorage,
+  storageKey,
+  maxAttempts,
+}) {
+  // The outbox lives as long as the provider; `send` may change every
+  // render, so the latest one is handed over after each change
+  const [outbox] = useState(() =>
+    createOutbox({
+      send,
+      storage,
+      storageKey,
+      maxAttempts,
+    })
+  );
+
+  useLayoutEffect(() => {
+    outbox.setSend(send);
+  }, [outbox, send]);
+
+  useEffect(() => outbox.start(), [outbox]);
+
+  return (
+    <OutboxContext.Provider value={outbox}>
+      {children}
+    </OutboxContext.Provider>
+  );
+}
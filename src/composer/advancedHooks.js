@@ -7,41 +7,22 @@
  * non-component values (like hooks and functions).
  */
 
-import React, { useState } from 'react';
-import { useComposer } from './ComposerContext';
+import { useComposer } from './ComposerContextValue';
+import { formatTypingUsers, useTypingUsers } from './typingPresence';
 
 /**
  * Custom hook that composes behaviors
- * Shows how to extract complex composer logic into reusable hooks.
+ * Shows how to extract complex composer logic into reusable hooks: the
+ * composer together with who else is typing in its conversation. The
+ * composer reports its own typing through its `presence` prop.
  */
-export function useComposerWithTypingIndicator() {
+export function useComposerWithTypingIndicator({ transport, conversationId, currentUserId }) {
   const composer = useComposer();
-  const [isTyping, setIsTyping] = useState(false);
-
-  React.useEffect(() => {
-    const timer = setTimeout(() => {
-      if (composer.content && isTyping) {
-        // Notify others that user is typing
-        console.log('User is typing...');
-      }
-    }, 500);
-
-    return () => clearTimeout(timer);
-  }, [composer.content, isTyping]);
+  const typingUsers = useTypingUsers(transport, conversationId, { currentUserId });
 
   return {
     ...composer,
-    isTyping,
-    setIsTyping,
+    typingUsers,
+    typingLabel: formatTypingUsers(typingUsers),
   };
 }
-
-/**
- * Utility function: Redux composer state hook
- * In a real app, this would use Redux selectors and dispatch
- */
-// eslint-disable-next-line no-unused-vars
-export function useReduxComposerState(_key) {
-  const [value, setValue] = useState('');
-  return [value, setValue];
-}
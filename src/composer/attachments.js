@@ -0,0 +1,243 @@
+/**
+ * File Attachments
+ * ================
+ *
+ * Turns picked, dropped and pasted files into attachments:
+ *
+ * { id, file, name, type, size }   // type is the MIME type, size in bytes
+ *
+ * and checks them against a composer's limits first (ComposerProvider's
+ * `attachmentLimits` prop), all optional:
+ *
+ * {
+ *   maxCount: 10,                       // attachments per message
+ *   maxSize: 25 * 1024 * 1024,          // bytes per file
+ *   accept: ['image/*', '.pdf'],        // like <input accept>
+ * }
+ *
+ * Files that don't fit are left out with a readable message each, which
+ * the provider keeps as `attachmentErrors` until the next files come in.
+ *
+ * Attachments can be reordered and given an optional `caption`, which is
+ * sent along with them.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+let lastId = 0;
+
+/**
+ * A unique attachment id - unlike Date.now(), two files added in the same
+ * millisecond don't collide.
+ */
+export function createAttachmentId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  lastId += 1;
+  return `attachment-${Date.now().toString(36)}-${lastId}`;
+}
+
+export function createAttachment(file) {
+  return {
+    id: createAttachmentId(),
+    file,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+  };
+}
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * 2516582 -> '2.4 MB'
+ */
+export function formatFileSize(bytes) {
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < SIZE_UNITS.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  const rounded = unit === 0 || size >= 10 ? Math.round(size) : Math.round(size * 10) / 10;
+  return `${rounded} ${SIZE_UNITS[unit]}`;
+}
+
+const toAcceptList = (accept) =>
+  (typeof accept === 'string' ? accept.split(',') : accept).map((entry) => entry.trim().toLowerCase());
+
+/**
+ * Whether the file matches an accept list ('image/*', 'application/pdf',
+ * '.zip' - the same forms as <input accept>).
+ */
+export function isAcceptedFile(file, accept) {
+  if (!accept) return true;
+
+  const type = file.type.toLowerCase();
+  const name = file.name.toLowerCase();
+  return toAcceptList(accept).some((entry) => {
+    if (entry.startsWith('.')) return name.endsWith(entry);
+    if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+    return type === entry;
+  });
+}
+
+/**
+ * Split `files` into the ones that fit `limits`, next to `existingCount`
+ * attachments already on the draft, and error messages for the rest:
+ * { accepted: File[], errors: string[] }
+ */
+export function checkFiles(files, limits = {}, existingCount = 0) {
+  const { maxCount = Infinity, maxSize = Infinity, accept } = limits;
+  const accepted = [];
+  const errors = [];
+  let overCount = 0;
+
+  files.forEach((file) => {
+    if (!isAcceptedFile(file, accept)) {
+      errors.push(`"${file.name}" can't be attached - only ${toAcceptList(accept).join(', ')} files are allowed`);
+    } else if (file.size > maxSize) {
+      errors.push(`"${file.name}" is too large (${formatFileSize(file.size)}) - files can be up to ${formatFileSize(maxSize)}`);
+    } else if (existingCount + accepted.length >= maxCount) {
+      overCount += 1;
+    } else {
+      accepted.push(file);
+    }
+  });
+
+  if (overCount > 0) {
+    errors.push(
+      `${overCount} ${overCount === 1 ? 'file was' : 'files were'} left out - ` +
+      `a message can have up to ${maxCount} ${maxCount === 1 ? 'attachment' : 'attachments'}`
+    );
+  }
+
+  return { accepted, errors };
+}
+
+/**
+ * The files in a drop or paste (DataTransfer), if any.
+ */
+export function getTransferFiles(dataTransfer) {
+  return dataTransfer ? [...dataTransfer.files] : [];
+}
+
+/**
+ * Whether a drag carries files (rather than text or a link).
+ */
+export const isFileDrag = (event) => [...(event.dataTransfer?.types ?? [])].includes('Files');
+
+// ============================================================
+// Icons and thumbnails
+// ============================================================
+
+const FILE_ICONS = [
+  [(type) => type.startsWith('image/'), '🖼️'],
+  [(type) => type.startsWith('video/'), '🎬'],
+  [(type) => type.startsWith('audio/'), '🎵'],
+  [(type) => type === 'application/pdf', '📕'],
+  [(type, name) => /\.(zip|rar|7z|tar|gz)$/.test(name) || type.includes('zip'), '🗜️'],
+  [(type, name) => /\.(xlsx?|csv|numbers)$/.test(name) || type.includes('spreadsheet'), '📊'],
+  [(type, name) => /\.(pptx?|key)$/.test(name) || type.includes('presentation'), '📽️'],
+  [(type, name) => type.startsWith('text/') || /\.(docx?|pages|md|rtf)$/.test(name), '📄'],
+];
+
+/**
+ * An emoji icon for the attachment's kind of file.
+ */
+export function getFileIcon({ type = '', name = '' }) {
+  const lowerType = type.toLowerCase();
+  const lowerName = name.toLowerCase();
+  return FILE_ICONS.find(([matches]) => matches(lowerType, lowerName))?.[1] ?? '📎';
+}
+
+// Images and videos get a thumbnail
+export const hasThumbnail = ({ file, type = '' }) =>
+  Boolean(file) && (type.startsWith('image/') || type.startsWith('video/'));
+
+/**
+ * Object URLs for the thumbnails of attached images and videos, by
+ * attachment id. Like the uploads, it follows the draft: sync() creates
+ * URLs for new files and revokes the ones of removed attachments, so a
+ * file's memory is released as soon as it is no longer attached.
+ */
+export function createPreviewStore({ urls = globalThis.URL } = {}) {
+  let state = {};
+  const listeners = new Set();
+
+  const setState = (next) => {
+    state = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    sync(attachments) {
+      const previewable = attachments.filter(hasThumbnail);
+      const ids = new Set(previewable.map((attachment) => attachment.id));
+      const removed = Object.keys(state).filter((id) => !ids.has(id));
+      const added = previewable.filter((attachment) => !(attachment.id in state));
+      if (removed.length === 0 && added.length === 0) return;
+
+      const next = { ...state };
+      removed.forEach((id) => {
+        urls.revokeObjectURL(next[id]);
+        delete next[id];
+      });
+      added.forEach((attachment) => {
+        next[attachment.id] = urls.createObjectURL(attachment.file);
+      });
+      setState(next);
+    },
+
+    // Revoke everything, e.g. when the composer unmounts
+    destroy() {
+      Object.values(state).forEach((url) => urls.revokeObjectURL(url));
+      state = {};
+    },
+  };
+}
+
+/**
+ * Validation errors for attachments whose File wasn't kept with a saved
+ * draft (see serializeDraft in draftStorage.js): after a reload there is
+ * nothing to send for them until they are attached again.
+ */
+export function getMissingFileErrors(attachments) {
+  const missing = attachments.filter((attachment) => attachment.missingFile);
+  if (missing.length === 0) return {};
+  return {
+    attachments: [
+      missing.length === 1
+        ? `"${missing[0].name}" wasn't kept with the draft - attach it again or remove it`
+        : `${missing.length} files weren't kept with the draft - attach them again or remove them`,
+    ],
+  };
+}
+
+// ============================================================
+// Rejection messages, kept next to the draft
+// ============================================================
+
+export const ATTACHMENT_ERROR_ACTIONS = Object.freeze({
+  REJECTED: 'attachments/rejected',
+  CLEARED: 'attachments/cleared',
+});
+
+const NO_ERRORS = [];
+
+export function attachmentErrorsReducer(state = NO_ERRORS, action) {
+  switch (action.type) {
+    case ATTACHMENT_ERROR_ACTIONS.REJECTED:
+      return action.errors.length > 0 ? action.errors : NO_ERRORS;
+    case ATTACHMENT_ERROR_ACTIONS.CLEARED:
+      return NO_ERRORS;
+    default:
+      return state;
+  }
+}
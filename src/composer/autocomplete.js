@@ -0,0 +1,119 @@
+/**
+ * Trigger Autocomplete
+ * ====================
+ *
+ * Shared machinery for "type a trigger character, pick a suggestion"
+ * popovers - '@' for mentions, ':' for emoji shortcodes, '/' for commands.
+ *
+ * findTriggerQuery() spots the trigger before the caret; useAutocomplete()
+ * turns it into suggestions from an async source and, while open, binds
+ * ArrowUp/ArrowDown, Enter/Tab and Escape through the composer keymap.
+ *
+ * A source is `(query, { signal }) => items | Promise<items>`; it is
+ * called again as the query changes, and the previous call is aborted.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { useEffect, useState } from 'react';
+import { useComposerSelector, useComposerKeyBinding } from './ComposerContextValue';
+import { shallowEqual } from './composerState';
+
+const DEFAULT_QUERY_PATTERN = /^[\w.-]*$/;
+
+/**
+ * The trigger the caret is currently completing, as
+ * { start, end, query } (`start` is the trigger itself), or null.
+ * The trigger must start the text or follow whitespace, so e-mail
+ * addresses and times ("10:30") don't count.
+ */
+export function findTriggerQuery(content, selection, trigger, queryPattern = DEFAULT_QUERY_PATTERN) {
+  if (selection.start !== selection.end) return null;
+
+  const caret = selection.start;
+  const start = content.lastIndexOf(trigger, caret - 1);
+  if (start === -1 || (start > 0 && !/\s/.test(content[start - 1]))) return null;
+
+  const query = content.slice(start + trigger.length, caret);
+  return queryPattern.test(query) ? { start, end: caret, query } : null;
+}
+
+/**
+ * Suggestions for the trigger at the caret.
+ *
+ * `onSelect(item, match)` is called with the chosen item and the
+ * { start, end, query } range it should replace. With `startOnly`, the
+ * trigger only counts as the very first character ('/' for commands).
+ */
+export function useAutocomplete({
+  trigger,
+  source,
+  onSelect,
+  minQueryLength = 0,
+  queryPattern = DEFAULT_QUERY_PATTERN,
+  startOnly = false,
+}) {
+  const match = useComposerSelector(
+    (state) => {
+      const found = findTriggerQuery(state.content, state.selection, trigger, queryPattern);
+      return found && (!startOnly || found.start === 0) ? found : null;
+    },
+    shallowEqual
+  );
+  const [dismissedAt, setDismissedAt] = useState(null);
+  const [results, setResults] = useState({ query: null, items: [] });
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const query =
+    match && match.start !== dismissedAt && match.query.length >= minQueryLength
+      ? match.query
+      : null;
+
+  useEffect(() => {
+    if (query === null) return undefined;
+
+    const controller = new AbortController();
+    Promise.resolve(source(query, { signal: controller.signal }))
+      .then((items) => {
+        if (controller.signal.aborted) return;
+        setResults({ query, items });
+        setActiveIndex(0);
+      })
+      .catch(() => {
+        // A failed lookup just has no suggestions
+        if (!controller.signal.aborted) setResults({ query, items: [] });
+      });
+    return () => controller.abort();
+  }, [query, source]);
+
+  const isOpen = query !== null;
+  const items = isOpen ? results.items : [];
+  const loading = isOpen && results.query !== query;
+  const hasItems = items.length > 0;
+
+  const choose = (item) => {
+    onSelect(item, match);
+    setResults({ query: null, items: [] });
+  };
+  const move = (step) => {
+    setActiveIndex((index) => (index + step + items.length) % items.length);
+  };
+
+  useComposerKeyBinding('ArrowDown', hasItems ? () => move(1) : null);
+  useComposerKeyBinding('ArrowUp', hasItems ? () => move(-1) : null);
+  useComposerKeyBinding('Enter', hasItems ? () => choose(items[activeIndex] ?? items[0]) : null);
+  useComposerKeyBinding('Tab', hasItems ? () => choose(items[activeIndex] ?? items[0]) : null);
+  // Escape closes the popover rather than cancelling the composer; it
+  // stays closed until a new trigger is typed
+  useComposerKeyBinding('Escape', isOpen ? () => setDismissedAt(match.start) : null);
+
+  return {
+    isOpen,
+    query,
+    items,
+    loading,
+    activeIndex: Math.min(activeIndex, Math.max(items.length - 1, 0)),
+    setActiveIndex,
+    choose,
+  };
+}
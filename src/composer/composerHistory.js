@@ -0,0 +1,103 @@
+/**
+ * Undo/Redo History for the Composer
+ * ==================================
+ *
+ * Keeps bounded past/future stacks of draft snapshots
+ * ({ content, attachments, metadata }). The provider records the draft
+ * *before* every change; consecutive changes with the same group
+ * (e.g. 'typing') are folded into one undo step until the user pauses
+ * for `groupDelay` ms or the caller starts a new group.
+ *
+ * The history is a small subscribable store ({ canUndo, canRedo }) so
+ * selector consumers only re-render when those flags flip.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+export const DEFAULT_GROUP_DELAY = 1000;
+
+export function createDraftHistory({
+  limit = DEFAULT_HISTORY_LIMIT,
+  groupDelay = DEFAULT_GROUP_DELAY,
+} = {}) {
+  let past = [];
+  let future = [];
+  let lastRecord = { group: null, time: 0 };
+  let state = { canUndo: false, canRedo: false };
+  const listeners = new Set();
+
+  const update = (nextPast, nextFuture) => {
+    past = nextPast;
+    future = nextFuture;
+
+    const canUndo = past.length > 0;
+    const canRedo = future.length > 0;
+    if (canUndo === state.canUndo && canRedo === state.canRedo) return;
+
+    state = { canUndo, canRedo };
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Record the draft as it was before a change.
+     * Pass `newGroup` to force a new undo step even within the same group.
+     */
+    record(snapshot, { group = null, newGroup = false } = {}) {
+      const now = Date.now();
+      const merge =
+        !newGroup &&
+        group !== null &&
+        lastRecord.group === group &&
+        now - lastRecord.time < groupDelay;
+
+      lastRecord = { group, time: now };
+      update(merge ? past : [...past, snapshot].slice(-limit), []);
+    },
+
+    /**
+     * Step back. Takes the current draft (so it can be redone) and returns
+     * the snapshot to restore, or null when there is nothing to undo.
+     */
+    undo(current) {
+      if (past.length === 0) return null;
+
+      const previous = past[past.length - 1];
+      lastRecord = { group: null, time: 0 };
+      update(past.slice(0, -1), [current, ...future]);
+      return previous;
+    },
+
+    redo(current) {
+      if (future.length === 0) return null;
+
+      const [next, ...rest] = future;
+      lastRecord = { group: null, time: 0 };
+      update([...past, current].slice(-limit), rest);
+      return next;
+    },
+
+    clear() {
+      lastRecord = { group: null, time: 0 };
+      update([], []);
+    },
+  };
+}
+
+/**
+ * Work out how a content change should be grouped: insertions and
+ * deletions are separate steps, and each new word starts a new step.
+ */
+export function getTypingGroup(previous, next) {
+  const group = next.length >= previous.length ? 'typing' : 'deleting';
+  const startsWord = /\s$/.test(previous) && next.length > previous.length && !/\s$/.test(next);
+  return { group, newGroup: startsWord };
+}
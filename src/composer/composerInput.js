@@ -0,0 +1,111 @@
+/**
+ * Composer Input Registry
+ * =======================
+ *
+ * Lets the provider reach the text field that ComposerInput renders, so
+ * focus(), blur() and the selection-aware edits (insertAtCursor,
+ * replaceRange, wrapSelection) work from anywhere - a toolbar button, or a
+ * parent holding the composer's ref.
+ *
+ * The registry is also a small store of the selection ({ start, end }),
+ * which ComposerInput reports as the user types, clicks and selects. It
+ * stays null until then, meaning "the end of the content".
+ *
+ * Content changes made through the actions re-render the textarea, which
+ * moves the caret to the end; select() remembers where the caret should go
+ * instead and the provider puts it back after the commit
+ * (applyPendingSelection).
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+export function createInputRegistry() {
+  let element = null;
+  let selection = null;
+  let pendingSelection = null;
+  const listeners = new Set();
+
+  const setSelection = (start, end = start) => {
+    if (selection && selection.start === start && selection.end === end) return;
+    selection = { start, end };
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    getState: () => selection,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getElement: () => element,
+
+    // Callback ref for the text field; returns its cleanup (React 19)
+    register(nextElement) {
+      element = nextElement;
+      return () => {
+        if (element === nextElement) element = null;
+      };
+    },
+
+    focus() {
+      element?.focus();
+    },
+
+    blur() {
+      element?.blur();
+    },
+
+    // Reported by the text field itself
+    setSelection,
+
+    // Move the selection after an edit: the field follows once it re-rendered
+    select(start, end = start) {
+      setSelection(start, end);
+      pendingSelection = { start, end };
+    },
+
+    applyPendingSelection() {
+      if (!pendingSelection || !element) return;
+      element.focus();
+      element.setSelectionRange(pendingSelection.start, pendingSelection.end);
+      pendingSelection = null;
+    },
+  };
+}
+
+/**
+ * The selection clamped to `content` - it may be stale after the content
+ * shrank (a reset, an undo) - or the end of the content when unknown.
+ */
+export function resolveSelection(selection, content) {
+  if (!selection) return { start: content.length, end: content.length };
+
+  const start = Math.min(selection.start, content.length);
+  const end = Math.min(Math.max(selection.end, start), content.length);
+  return { start, end };
+}
+
+/**
+ * Replace content[start, end) with `text`.
+ * Returns the new content and the caret position just after the insertion.
+ */
+export function replaceContentRange(content, start, end, text) {
+  return {
+    content: content.slice(0, start) + text + content.slice(end),
+    caret: start + text.length,
+  };
+}
+
+/**
+ * Surround the selection with `before` / `after` (e.g. '**').
+ * The wrapped text stays selected; an empty selection leaves the caret
+ * between the two markers, ready to type.
+ */
+export function wrapContentRange(content, { start, end }, before, after = before) {
+  return {
+    content: content.slice(0, start) + before + content.slice(start, end) + after + content.slice(end),
+    selection: { start: start + before.length, end: end + before.length },
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Composer Keymap
+ * ===============
+ *
+ * Keyboard shortcuts for the composer's text field. A keymap maps key
+ * combos to commands:
+ *
+ *   { Enter: 'submit', 'Shift+Enter': 'newline', Escape: 'cancel' }
+ *
+ * Combos are modifiers joined with '+' and a key ('Enter', 'Escape', 'B',
+ * '7'): Mod is Ctrl - or Cmd on macOS - and Shift, Alt, Ctrl and Meta
+ * must match exactly. Digits match on the physical key, since Shift+7
+ * types a different character on every layout.
+ *
+ * A command is the name of a built-in command (COMMANDS below) or a
+ * function (event, actions) => ... receiving the composer actions.
+ * Mapping a combo to null disables it.
+ *
+ * ComposerProvider's `keymap` prop is merged over DEFAULT_KEYMAP, and
+ * components can register bindings at runtime (useComposerKeyBinding),
+ * which go before the keymap - the most recent registration first.
+ * A command returning false passes the key on to the next one, and
+ * finally to the textarea (that's how 'newline' works); otherwise the
+ * default is prevented.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { FORMATS, FORMAT_SHORTCUTS, toggleFormat } from './markdownFormatting';
+
+export const COMMANDS = Object.freeze({
+  submit: (event, actions) => {
+    actions.submit();
+  },
+  newline: () => false,
+  // Components such as an edit composer's cancel button override Escape
+  // with their own binding; on its own it clears the draft
+  cancel: (event, actions) => {
+    actions.reset();
+  },
+  undo: (event, actions) => {
+    actions.undo();
+  },
+  redo: (event, actions) => {
+    actions.redo();
+  },
+  ...Object.fromEntries(
+    Object.keys(FORMATS).map((format) => [
+      `format:${format}`,
+      (event, actions) => {
+        actions.applyEdit((content, selection) => toggleFormat(content, selection, format));
+      },
+    ])
+  ),
+});
+
+export const DEFAULT_KEYMAP = Object.freeze({
+  Enter: 'submit',
+  'Shift+Enter': 'newline',
+  'Mod+Enter': 'submit',
+  Escape: 'cancel',
+  'Mod+Z': 'undo',
+  'Mod+Shift+Z': 'redo',
+  'Ctrl+Y': 'redo',
+  ...Object.fromEntries(
+    Object.entries(FORMAT_SHORTCUTS).map(([format, combo]) => [combo, `format:${format}`])
+  ),
+});
+
+/**
+ * The alternative send mode: Enter inserts a newline and only
+ * Ctrl/Cmd+Enter sends - for composers where long messages are the norm.
+ * `<ComposerProvider keymap={MOD_ENTER_TO_SEND}>`
+ */
+export const MOD_ENTER_TO_SEND = Object.freeze({
+  Enter: 'newline',
+  'Mod+Enter': 'submit',
+});
+
+export function parseKeyCombo(combo) {
+  const parts = combo.split('+');
+  const key = parts.pop();
+  const modifiers = new Set(parts.map((part) => part.toLowerCase()));
+
+  return {
+    key: key.toLowerCase(),
+    mod: modifiers.has('mod'),
+    ctrl: modifiers.has('ctrl'),
+    meta: modifiers.has('meta') || modifiers.has('cmd'),
+    alt: modifiers.has('alt'),
+    shift: modifiers.has('shift'),
+  };
+}
+
+export function matchesKeyCombo(event, combo) {
+  const expected = parseKeyCombo(combo);
+
+  if (event.shiftKey !== expected.shift || event.altKey !== expected.alt) return false;
+  if (expected.mod) {
+    if (!(event.ctrlKey || event.metaKey)) return false;
+  } else if (event.ctrlKey !== expected.ctrl || event.metaKey !== expected.meta) {
+    return false;
+  }
+
+  return /^\d$/.test(expected.key)
+    ? event.code === `Digit${expected.key}`
+    : event.key.toLowerCase() === expected.key;
+}
+
+const isMac = () => typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+/**
+ * Human-readable combo for tooltips: 'Mod+B' -> '⌘B' or 'Ctrl+B'
+ */
+export function formatKeyCombo(combo) {
+  if (isMac()) {
+    return combo
+      .replace(/Mod\+|Meta\+|Cmd\+/g, '⌘')
+      .replace(/Shift\+/g, '⇧')
+      .replace(/Alt\+/g, '⌥')
+      .replace(/Ctrl\+/g, '⌃');
+  }
+  return combo.replace(/Mod\+|Cmd\+/g, 'Ctrl+');
+}
+
+/**
+ * Runtime bindings registered by components, most recent first.
+ */
+export function createKeyBindingRegistry() {
+  let bindings = [];
+
+  return {
+    register(combo, command) {
+      const binding = { combo, command };
+      bindings = [binding, ...bindings];
+      return () => {
+        bindings = bindings.filter((candidate) => candidate !== binding);
+      };
+    },
+
+    // Commands bound to this event's combo
+    match(event) {
+      return bindings
+        .filter((binding) => matchesKeyCombo(event, binding.combo))
+        .map((binding) => binding.command);
+    },
+  };
+}
+
+/**
+ * Run the commands bound to a keydown event - registered bindings first,
+ * then the keymap - until one handles it. Returns true when one did (and
+ * the default was prevented).
+ */
+export function runKeyBinding(event, { registry, keymap, actions }) {
+  // Keys that confirm an IME composition (e.g. Enter picking a kana
+  // candidate) belong to the input method
+  if (event.isComposing || event.nativeEvent?.isComposing) return false;
+
+  const combo = Object.keys(keymap).find((candidate) =>
+    keymap[candidate] != null && matchesKeyCombo(event, candidate)
+  );
+  const commands = [...registry.match(event), ...(combo ? [keymap[combo]] : [])];
+
+  const handled = commands.some((command) => {
+    const run = typeof command === 'function' ? command : COMMANDS[command];
+    return run ? run(event, actions) !== false : false;
+  });
+
+  if (handled) event.preventDefault();
+  return handled;
+}
@@ -0,0 +1,138 @@
+/**
+ * Composer Manager
+ * ================
+ *
+ * Keeps track of every composer on the page that has a `composerId`
+ * (ComposerProvider prop) inside a ComposerManagerProvider:
+ *
+ * - composers: the mounted ones by id, with their state store and actions,
+ *   so code anywhere can reach a specific composer (useComposer(id))
+ * - focusedId: the composer whose text field has focus, or null
+ * - drafts: each composer's draft by id. They outlive the composer, so
+ *   switching to another thread and back brings the draft back - with its
+ *   attachments, which draft persistence can't store - and the drafts not
+ *   sent yet can be listed (getUnsentDrafts)
+ *
+ * A composer given its own `store` or a controlled `value` keeps its draft
+ * there, so the manager doesn't list it.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { composersReducer, createReducerStore, COMPOSER_ACTIONS, EMPTY_DRAFT } from './composerStore';
+
+// Metadata alone (e.g. an empty mentions list) isn't something to send
+const hasUnsentContent = ({ content, attachments }) => content.trim() !== '' || attachments.length > 0;
+
+const INITIAL_STATE = Object.freeze({ composers: {}, focusedId: null });
+
+export function createComposerManager() {
+  const draftStore = createReducerStore(composersReducer);
+  const draftAdapters = new Map();
+  let state = INITIAL_STATE;
+  const listeners = new Set();
+
+  const setState = (next) => {
+    state = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  let unsentDrafts = [];
+  let unsentDraftsFor = null;
+
+  return {
+    getState: () => state,
+
+    // Notified when composers come and go, focus moves or a draft changes
+    subscribe(listener) {
+      listeners.add(listener);
+      const unsubscribeDrafts = draftStore.subscribe(listener);
+      return () => {
+        listeners.delete(listener);
+        unsubscribeDrafts();
+      };
+    },
+
+    /**
+     * The store adapter (see composerStore.js) holding composer `id`'s
+     * draft. Until the draft first changes it reads as `getInitialDraft()`,
+     * called once; the first change is applied to that draft.
+     */
+    getDraftStore(id, getInitialDraft = () => EMPTY_DRAFT) {
+      if (!draftAdapters.has(id)) {
+        let initialDraft = null;
+        const getState = () => {
+          const draft = draftStore.getState()[id];
+          if (draft) return draft;
+          initialDraft ??= { ...EMPTY_DRAFT, ...getInitialDraft() };
+          return initialDraft;
+        };
+
+        draftAdapters.set(id, {
+          getState,
+          dispatch(action) {
+            // The seed only exists in this adapter until now; store it first
+            if (!draftStore.getState()[id]) {
+              draftStore.dispatch({ type: COMPOSER_ACTIONS.REPLACE_DRAFT, draft: getState(), composerId: id });
+            }
+            draftStore.dispatch({ ...action, composerId: id });
+          },
+          subscribe: draftStore.subscribe,
+        });
+      }
+      return draftAdapters.get(id);
+    },
+
+    /**
+     * Adds a mounted composer ({ stateStore, actions }); returns the
+     * function that removes it again.
+     */
+    register(id, composer) {
+      if (import.meta.env.DEV && state.composers[id]) {
+        console.error(`Two composers are mounted with composerId "${id}"; useComposer("${id}") reaches the last one.`);
+      }
+      const entry = { id, ...composer };
+      setState({ ...state, composers: { ...state.composers, [id]: entry } });
+
+      return () => {
+        if (state.composers[id] !== entry) return;
+        const { [id]: _removed, ...composers } = state.composers;
+        setState({ composers, focusedId: state.focusedId === id ? null : state.focusedId });
+      };
+    },
+
+    focused(id) {
+      if (state.focusedId !== id) setState({ ...state, focusedId: id });
+    },
+
+    blurred(id) {
+      if (state.focusedId === id) setState({ ...state, focusedId: null });
+    },
+
+    /**
+     * The drafts not sent yet, as [{ id, draft, isMounted }] in the order
+     * they were started. Same array until one of them changes.
+     */
+    getUnsentDrafts() {
+      const drafts = draftStore.getState();
+      if (unsentDraftsFor?.drafts === drafts && unsentDraftsFor.composers === state.composers) {
+        return unsentDrafts;
+      }
+      unsentDraftsFor = { drafts, composers: state.composers };
+      unsentDrafts = Object.entries(drafts)
+        .filter(([, draft]) => hasUnsentContent(draft))
+        .map(([id, draft]) => ({ id, draft, isMounted: id in state.composers }));
+      return unsentDrafts;
+    },
+
+    /**
+     * Throws composer `id`'s draft away - through its reset() while it is
+     * mounted, so the discard can be undone there.
+     */
+    discardDraft(id) {
+      const composer = state.composers[id];
+      if (composer) composer.actions.reset();
+      else draftStore.dispatch({ type: COMPOSER_ACTIONS.RESET, composerId: id });
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createComposerManager } from './composerManager';
+import { COMPOSER_ACTIONS, EMPTY_DRAFT } from './composerStore';
+
+const restoredDraft = { content: 'restored draft', metadata: { threadId: 't1' } };
+
+describe('createComposerManager', () => {
+  describe('getDraftStore', () => {
+    it('reads as the initial draft until it changes', () => {
+      const manager = createComposerManager();
+      const store = manager.getDraftStore('thread:t1', () => restoredDraft);
+
+      expect(store.getState()).toEqual({ ...EMPTY_DRAFT, ...restoredDraft });
+      expect(manager.getUnsentDrafts()).toEqual([]);
+    });
+
+    it('applies the first change to the initial draft', () => {
+      const manager = createComposerManager();
+      const store = manager.getDraftStore('thread:t1', () => restoredDraft);
+      const attachment = { id: 'a1', name: 'notes.txt' };
+
+      store.dispatch({ type: COMPOSER_ACTIONS.ADD_ATTACHMENT, attachment });
+
+      expect(store.getState()).toEqual({
+        content: 'restored draft',
+        attachments: [attachment],
+        metadata: { threadId: 't1' },
+      });
+    });
+
+    it('keeps the seeded draft through a metadata change', () => {
+      const manager = createComposerManager();
+      const store = manager.getDraftStore('thread:t1', () => restoredDraft);
+
+      store.dispatch({ type: COMPOSER_ACTIONS.SET_METADATA, key: 'mentions', value: [] });
+
+      expect(store.getState().content).toBe('restored draft');
+      expect(store.getState().metadata).toEqual({ threadId: 't1', mentions: [] });
+    });
+
+    it('asks for the initial draft once, and only for a new id', () => {
+      const manager = createComposerManager();
+      const getInitialDraft = vi.fn(() => restoredDraft);
+      const store = manager.getDraftStore('thread:t1', getInitialDraft);
+
+      store.getState();
+      store.getState();
+      expect(manager.getDraftStore('thread:t1', getInitialDraft)).toBe(store);
+      expect(getInitialDraft).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getUnsentDrafts', () => {
+    it('lists drafts with content or attachments, mounted or not', () => {
+      const manager = createComposerManager();
+      manager.getDraftStore('channel').dispatch({ type: COMPOSER_ACTIONS.SET_CONTENT, content: 'Hi' });
+      manager.getDraftStore('thread:t1').dispatch({ type: COMPOSER_ACTIONS.SET_CONTENT, content: '  ' });
+      manager.register('channel', { stateStore: {}, actions: {} });
+
+      expect(manager.getUnsentDrafts()).toEqual([
+        { id: 'channel', draft: { ...EMPTY_DRAFT, content: 'Hi' }, isMounted: true },
+      ]);
+    });
+
+    it('drops a draft once it is discarded', () => {
+      const manager = createComposerManager();
+      manager.getDraftStore('thread:t1').dispatch({ type: COMPOSER_ACTIONS.SET_CONTENT, content: 'Hi' });
+
+      manager.discardDraft('thread:t1');
+
+      expect(manager.getUnsentDrafts()).toEqual([]);
+    });
+  });
+
+  describe('focus', () => {
+    it('forgets the focused composer when it unmounts', () => {
+      const manager = createComposerManager();
+      const unregister = manager.register('channel', { stateStore: {}, actions: {} });
+
+      manager.focused('channel');
+      expect(manager.getState().focusedId).toBe('channel');
+
+      unregister();
+      expect(manager.getState().focusedId).toBeNull();
+    });
+  });
+});
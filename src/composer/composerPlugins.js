@@ -0,0 +1,203 @@
+/**
+ * Composer Plugins
+ * ================
+ *
+ * A plugin is a plain object passed to ComposerProvider's `plugins` prop.
+ * Every field is optional except `name`, which namespaces its state and
+ * actions on the context (`pluginState[name]`, `pluginActions[name]`):
+ *
+ * {
+ *   name: 'counter',
+ *   initialState: { count: 0 },
+ *   actions: (ctx) => ({ resetCount: () => ctx.setState({ count: 0 }) }),
+ *
+ *   // Lifecycle hooks - all receive the plugin context (ctx) last
+ *   transformContent(content, ctx)   -> content      (on submit, before beforeSubmit)
+ *   beforeSubmit(payload, ctx)       -> payload | false to cancel | SUBMIT_HANDLED
+ *                                       (may be async)
+ *   afterSubmit(payload, ctx)        -> void         (after a successful submit)
+ *   onReset(ctx)                     -> void         (after reset or a successful submit)
+ *   onAttachmentAdded(attachment, ctx) -> void
+ * }
+ *
+ * Returning SUBMIT_HANDLED from beforeSubmit means the plugin took care of
+ * the submission itself (a slash command that runs instead of sending):
+ * onSubmit is not called, but the draft is cleared as after a send.
+ *
+ * The plugin context gives access to the plugin's own state and the composer:
+ * { name, getState, setState(stateOrUpdater), getDraft, actions }
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+const SET_PLUGIN_STATE = 'plugins/setState';
+
+export const SUBMIT_HANDLED = Symbol('composer/submitHandled');
+
+/**
+ * Reducer for the plugin state store: `{ [pluginName]: state }`
+ */
+export function pluginStateReducer(state = {}, action) {
+  if (action.type !== SET_PLUGIN_STATE) return state;
+
+  const previous = state[action.name] ?? action.initialState;
+  const next = typeof action.update === 'function' ? action.update(previous) : action.update;
+  return next === previous ? state : { ...state, [action.name]: next };
+}
+
+export function getInitialPluginState(plugins) {
+  return Object.fromEntries(
+    plugins
+      .filter((plugin) => plugin.initialState !== undefined)
+      .map((plugin) => [plugin.name, plugin.initialState])
+  );
+}
+
+/**
+ * Build the context object handed to a plugin's hooks and action factory.
+ * `getActions` is a getter because the composer actions are created after
+ * the plugin contexts.
+ */
+export function createPluginContext(plugin, { pluginStore, draftStore, getActions }) {
+  return {
+    name: plugin.name,
+    getState: () => pluginStore.getState()[plugin.name] ?? plugin.initialState,
+    setState: (update) => pluginStore.dispatch({
+      type: SET_PLUGIN_STATE,
+      name: plugin.name,
+      initialState: plugin.initialState,
+      update,
+    }),
+    getDraft: () => draftStore.getState(),
+    get actions() {
+      return getActions();
+    },
+  };
+}
+
+/**
+ * Holder for the composer actions, which plugin contexts need but which
+ * are created after them.
+ */
+export function createActionsHandle() {
+  let actions = null;
+  return {
+    get: () => actions,
+    set: (next) => {
+      actions = next;
+    },
+  };
+}
+
+/**
+ * Bind each plugin's action factory to its context, keyed by plugin name.
+ */
+export function bindPluginActions(plugins, contexts) {
+  return Object.fromEntries(
+    plugins
+      .map((plugin, index) => [plugin.name, plugin.actions?.(contexts[index])])
+      .filter(([, actions]) => actions)
+  );
+}
+
+/**
+ * Call `hook` on every plugin that defines it, in order.
+ */
+export function notifyPlugins(plugins, contexts, hook, ...args) {
+  plugins.forEach((plugin, index) => {
+    plugin[hook]?.(...args, contexts[index]);
+  });
+}
+
+/**
+ * The content as it will be sent: every plugin's transformContent, in order.
+ */
+export function applyContentTransforms(plugins, contexts, content) {
+  return plugins.reduce(
+    (next, plugin, index) => (plugin.transformContent ? plugin.transformContent(next, contexts[index]) : next),
+    content
+  );
+}
+
+/**
+ * Run transformContent then beforeSubmit through every plugin, in order.
+ * Resolves to the final payload, null when a plugin cancelled, or
+ * SUBMIT_HANDLED when a plugin handled the submission itself.
+ */
+export async function runSubmitPipeline(plugins, contexts, payload) {
+  let next = { ...payload, content: applyContentTransforms(plugins, contexts, payload.content) };
+
+  for (let index = 0; index < plugins.length; index += 1) {
+    const { beforeSubmit } = plugins[index];
+    if (!beforeSubmit) continue;
+
+    const result = await beforeSubmit(next, contexts[index]);
+    if (result === false) return null;
+    if (result === SUBMIT_HANDLED) return result;
+    if (result) next = result;
+  }
+
+  return next;
+}
+
+// ============================================================
+// Ready-made plugins
+// ============================================================
+
+/**
+ * Trim leading/trailing whitespace from the submitted content.
+ */
+export const trimWhitespacePlugin = {
+  name: 'trimWhitespace',
+  transformContent: (content) => content.trim(),
+};
+
+/**
+ * Stamp the payload with the time it was submitted on the client.
+ */
+export const clientTimestampPlugin = {
+  name: 'clientTimestamp',
+  beforeSubmit: (payload) => ({ ...payload, clientTimestamp: new Date().toISOString() }),
+};
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+// Links end before trailing punctuation ("see https://example.com.")
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]]/g;
+
+/**
+ * Remove utm_* and similar tracking parameters from links in the content.
+ */
+export const stripTrackingParamsPlugin = {
+  name: 'stripTrackingParams',
+  transformContent: (content) =>
+    content.replace(URL_PATTERN, (match) => {
+      try {
+        const url = new URL(match);
+        const tracking = [...url.searchParams.keys()].filter((key) => TRACKING_PARAMS.test(key));
+        if (tracking.length === 0) return match;
+
+        tracking.forEach((key) => url.searchParams.delete(key));
+        return url.toString();
+      } catch {
+        return match;
+      }
+    }),
+};
+
+/**
+ * Count messages sent from this composer - an example of plugin state
+ * and actions (`pluginState.messageCounter.count`,
+ * `pluginActions.messageCounter.resetCount()`).
+ */
+export function createMessageCounterPlugin() {
+  return {
+    name: 'messageCounter',
+    initialState: { count: 0 },
+    actions: (ctx) => ({
+      resetCount: () => ctx.setState({ count: 0 }),
+    }),
+    afterSubmit: (payload, ctx) => {
+      ctx.setState((state) => ({ count: state.count + 1 }));
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Composer State Snapshot
+ * =======================
+ *
+ * Everything consumers can read from a composer is combined into one
+ * immutable snapshot, built from these stores:
+ *
+ * - the draft store adapter ({ content, attachments, metadata })
+ * - the submission store ({ status, error })
+ * - the undo history ({ canUndo, canRedo })
+ * - plugin state, namespaced by plugin name (pluginState)
+ * - the text field's selection ({ start, end })
+ * - files left out by the attachment limits (attachmentErrors)
+ * - the attachments' uploads ({ [attachmentId]: { status, progress, error } })
+ * - thumbnail URLs of attached images and videos (previews, by attachment id)
+ * - preview cards of the links in the content (linkPreviews)
+ *
+ * plus derived values (isSubmitting, errors, canSubmit, limitStatus). Failed
+ * uploads - and unfinished ones, unless submit() may wait for them -,
+ * attachments whose File a restored draft lost, and content past the hard
+ * length limit are errors too.
+ * The combined store is what useComposerSelector() subscribes to, so a
+ * component re-renders only when the slice it selected changes.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { SUBMIT_STATUS } from './ComposerContextValue';
+import { runValidators } from './validators';
+import { resolveSelection } from './composerInput';
+import { getUploadErrors } from './uploads';
+import { getMissingFileErrors } from './attachments';
+import { getLimitErrors, getLimitStatus } from './textStats';
+
+export const INITIAL_SUBMISSION = Object.freeze({
+  status: SUBMIT_STATUS.IDLE,
+  error: null,
+});
+
+export const SUBMISSION_ACTIONS = Object.freeze({
+  STARTED: 'submission/started',
+  SUCCEEDED: 'submission/succeeded',
+  FAILED: 'submission/failed',
+  RESET: 'submission/reset',
+});
+
+export function submissionReducer(state = INITIAL_SUBMISSION, action) {
+  switch (action.type) {
+    case SUBMISSION_ACTIONS.STARTED:
+      return { status: SUBMIT_STATUS.SUBMITTING, error: null };
+    case SUBMISSION_ACTIONS.SUCCEEDED:
+      return { status: SUBMIT_STATUS.SUCCEEDED, error: null };
+    case SUBMISSION_ACTIONS.FAILED:
+      return { status: SUBMIT_STATUS.FAILED, error: action.error };
+    case SUBMISSION_ACTIONS.RESET:
+      return INITIAL_SUBMISSION;
+    default:
+      return state;
+  }
+}
+
+/**
+ * Combine the stores into a single read-only store whose snapshot only
+ * changes identity when one of its sources does.
+ */
+export function combineComposerState({
+  draftStore,
+  submissionStore,
+  historyStore,
+  pluginStore,
+  selectionStore,
+  attachmentErrorsStore,
+  uploadStore,
+  previewStore,
+  linkPreviewStore,
+  validators,
+  waitForUploads = true,
+  limits,
+}) {
+  const sources = [
+    draftStore,
+    submissionStore,
+    historyStore,
+    pluginStore,
+    selectionStore,
+    attachmentErrorsStore,
+    uploadStore,
+    previewStore,
+    linkPreviewStore,
+  ];
+  let cache = null;
+
+  const getState = () => {
+    const draft = draftStore.getState();
+    const submission = submissionStore.getState();
+    const history = historyStore.getState();
+    const pluginState = pluginStore.getState();
+    const selection = selectionStore.getState();
+    const attachmentErrors = attachmentErrorsStore.getState();
+    const uploads = uploadStore.getState();
+    const previews = previewStore.getState();
+    const linkPreviews = linkPreviewStore.getState();
+
+    if (
+      cache &&
+      cache.draft === draft &&
+      cache.submission === submission &&
+      cache.history === history &&
+      cache.pluginState === pluginState &&
+      cache.selection === selection &&
+      cache.attachmentErrors === attachmentErrors &&
+      cache.uploads === uploads &&
+      cache.previews === previews &&
+      cache.linkPreviews === linkPreviews
+    ) {
+      return cache.state;
+    }
+
+    // The length only needs recounting when the content changed
+    const limitStatus = cache?.draft.content === draft.content
+      ? cache.state.limitStatus
+      : getLimitStatus(draft.content, limits);
+    const errors = mergeErrors(
+      runValidators(validators, draft),
+      getUploadErrors(draft.attachments, uploads, { waitForUploads }),
+      getMissingFileErrors(draft.attachments),
+      getLimitErrors(limitStatus)
+    );
+    const state = {
+      ...draft,
+      ...submission,
+      isSubmitting: submission.status === SUBMIT_STATUS.SUBMITTING,
+      errors,
+      canSubmit: Object.keys(errors).length === 0,
+      limitStatus,
+      ...history,
+      pluginState,
+      selection: resolveSelection(selection, draft.content),
+      attachmentErrors,
+      uploads,
+      previews,
+      linkPreviews,
+    };
+
+    cache = {
+      draft, submission, history, pluginState, selection, attachmentErrors, uploads, previews, linkPreviews,
+      state,
+    };
+    return state;
+  };
+
+  const subscribe = (listener) => {
+    const unsubscribes = sources.map((source) => source.subscribe(listener));
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  };
+
+  return { getState, subscribe };
+}
+
+function mergeErrors(...sources) {
+  const merged = {};
+  sources.forEach((source) => {
+    Object.entries(source).forEach(([field, messages]) => {
+      merged[field] = [...(merged[field] || []), ...messages];
+    });
+  });
+  return merged;
+}
+
+/**
+ * Equality function for selectors that pick several fields at once:
+ * useComposerSelector((s) => ({ a: s.a, b: s.b }), shallowEqual)
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
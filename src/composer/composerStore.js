@@ -0,0 +1,197 @@
+/**
+ * Composer Store Adapters
+ * =======================
+ *
+ * ComposerProvider reads its draft ({ content, attachments, metadata })
+ * from a store adapter through useSyncExternalStore. An adapter is any
+ * object with the familiar Redux store shape, scoped to one composer:
+ *
+ *   getState()          -> draft (same reference until it changes)
+ *   dispatch(action)    -> void
+ *   subscribe(listener) -> unsubscribe
+ *
+ * Ready-made adapters:
+ * - createComposerStore(): a tiny self-contained store (the default)
+ * - createReduxComposerAdapter(): one composer's slice of an app-level
+ *   Redux-style store that mounts `composersReducer`
+ * - createControlledComposerStore(): backs ComposerProvider's controlled
+ *   mode (`value` / `onValueChange`)
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+export const EMPTY_DRAFT = Object.freeze({
+  content: '',
+  attachments: [],
+  metadata: {},
+});
+
+export const COMPOSER_ACTIONS = Object.freeze({
+  SET_CONTENT: 'composer/setContent',
+  ADD_ATTACHMENT: 'composer/addAttachment',
+  REMOVE_ATTACHMENT: 'composer/removeAttachment',
+  UPDATE_ATTACHMENT: 'composer/updateAttachment',
+  MOVE_ATTACHMENT: 'composer/moveAttachment',
+  SET_METADATA: 'composer/setMetadata',
+  REPLACE_DRAFT: 'composer/replaceDraft',
+  RESET: 'composer/reset',
+});
+
+/**
+ * Reducer for a single composer's draft.
+ */
+export function composerReducer(state = EMPTY_DRAFT, action) {
+  switch (action.type) {
+    case COMPOSER_ACTIONS.SET_CONTENT:
+      return { ...state, content: action.content };
+    case COMPOSER_ACTIONS.ADD_ATTACHMENT:
+      return { ...state, attachments: [...state.attachments, action.attachment] };
+    case COMPOSER_ACTIONS.REMOVE_ATTACHMENT:
+      return {
+        ...state,
+        attachments: state.attachments.filter((a) => a.id !== action.attachmentId),
+      };
+    case COMPOSER_ACTIONS.UPDATE_ATTACHMENT:
+      return {
+        ...state,
+        attachments: state.attachments.map((a) =>
+          a.id === action.attachmentId ? { ...a, ...action.changes } : a
+        ),
+      };
+    case COMPOSER_ACTIONS.MOVE_ATTACHMENT: {
+      const { fromIndex, toIndex } = action;
+      const count = state.attachments.length;
+      if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) {
+        return state;
+      }
+      const attachments = [...state.attachments];
+      const [moved] = attachments.splice(fromIndex, 1);
+      attachments.splice(toIndex, 0, moved);
+      return { ...state, attachments };
+    }
+    case COMPOSER_ACTIONS.SET_METADATA:
+      return { ...state, metadata: { ...state.metadata, [action.key]: action.value } };
+    case COMPOSER_ACTIONS.REPLACE_DRAFT:
+      return { ...EMPTY_DRAFT, ...action.draft };
+    case COMPOSER_ACTIONS.RESET:
+      return EMPTY_DRAFT;
+    default:
+      return state;
+  }
+}
+
+/**
+ * Reducer for many composers keyed by id - mount it in an app store
+ * (e.g. `composers: composersReducer`). Composer actions must carry a
+ * `composerId`; createReduxComposerAdapter adds it for you.
+ */
+export function composersReducer(state = {}, action) {
+  if (!action.composerId || !Object.values(COMPOSER_ACTIONS).includes(action.type)) {
+    return state;
+  }
+
+  const previous = state[action.composerId];
+  const next = composerReducer(previous, action);
+  return next === previous ? state : { ...state, [action.composerId]: next };
+}
+
+/**
+ * Minimal Redux-compatible store: getState / dispatch / subscribe.
+ */
+export function createReducerStore(reducer, initialState) {
+  let state = initialState === undefined ? reducer(undefined, { type: '@@init' }) : initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    dispatch(action) {
+      const next = reducer(state, action);
+      if (next === state) return;
+      state = next;
+      listeners.forEach((listener) => listener());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/**
+ * Built-in adapter: a standalone store holding a single draft.
+ */
+export function createComposerStore(initialDraft = EMPTY_DRAFT) {
+  return createReducerStore(composerReducer, { ...EMPTY_DRAFT, ...initialDraft });
+}
+
+/**
+ * Adapter for one composer inside an app-level Redux-style store.
+ * `selectComposers` locates the slice managed by composersReducer.
+ */
+export function createReduxComposerAdapter(
+  store,
+  composerId,
+  { selectComposers = (state) => state.composers } = {}
+) {
+  return {
+    getState: () => selectComposers(store.getState())?.[composerId] ?? EMPTY_DRAFT,
+    dispatch: (action) => store.dispatch({ ...action, composerId }),
+    subscribe: (listener) => store.subscribe(listener),
+  };
+}
+
+/**
+ * Adapter behind controlled mode: the parent owns the draft.
+ *
+ * Changes are applied right away (so typing never lags a render behind)
+ * and reported through `onChange(nextDraft, action)`. The provider then
+ * calls `sync(value)` after every render, which replaces the draft with
+ * whatever the parent passed back - so a parent that rejects or rewrites
+ * a change wins, just like a controlled <textarea>.
+ */
+export function createControlledComposerStore(initialValue) {
+  let state = normalizeDraft(initialValue);
+  let onChange = null;
+  const listeners = new Set();
+
+  const setState = (next) => {
+    state = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    getState: () => state,
+    dispatch(action) {
+      const next = composerReducer(state, action);
+      if (next === state) return;
+      setState(next);
+      onChange?.(next, action);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    sync(value) {
+      const next = normalizeDraft(value);
+      if (!isSameDraft(state, next)) setState(next);
+    },
+    setOnChange(nextOnChange) {
+      onChange = nextOnChange;
+    },
+  };
+}
+
+/**
+ * Fill in the fields a partial draft (e.g. `{ content: 'Hi' }`) leaves out.
+ */
+export function normalizeDraft(value) {
+  return { ...EMPTY_DRAFT, ...value };
+}
+
+function isSameDraft(a, b) {
+  return (
+    a.content === b.content &&
+    a.attachments === b.attachments &&
+    a.metadata === b.metadata
+  );
+}
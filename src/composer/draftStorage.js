@@ -0,0 +1,141 @@
+/**
+ * Draft Persistence for the Composer
+ * ==================================
+ *
+ * A storage adapter is any object with three synchronous methods:
+ *
+ *   load(key)         -> draft | null
+ *   save(key, draft)  -> void
+ *   remove(key)       -> void
+ *
+ * ComposerProvider uses it when given a `draftKey` (e.g. 'channel:general'
+ * or 'thread:<threadId>'): the draft is restored on mount, saved with a
+ * debounce while the user types, and removed after a successful submit.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { useEffect, useRef } from 'react';
+
+export const DEFAULT_SAVE_DELAY = 500;
+
+/**
+ * Adapter backed by window.localStorage. Storage errors (quota exceeded,
+ * private mode, no window during SSR) are ignored - losing a draft is
+ * better than breaking the composer.
+ */
+export function createLocalStorageAdapter({ prefix = 'composer-draft:' } = {}) {
+  const getStorage = () => {
+    try {
+      return typeof window === 'undefined' ? null : window.localStorage;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    load(key) {
+      try {
+        const raw = getStorage()?.getItem(prefix + key);
+        return raw ? JSON.parse(raw) : null;
+      } catch {
+        return null;
+      }
+    },
+    save(key, draft) {
+      try {
+        getStorage()?.setItem(prefix + key, JSON.stringify(draft));
+      } catch {
+        // Ignore - see above
+      }
+    },
+    remove(key) {
+      try {
+        getStorage()?.removeItem(prefix + key);
+      } catch {
+        // Ignore - see above
+      }
+    },
+  };
+}
+
+/**
+ * Adapter that keeps drafts in a Map. Useful in tests, and anywhere
+ * drafts should survive unmounting but not a page reload.
+ */
+export function createMemoryStorageAdapter(initialDrafts = {}) {
+  const drafts = new Map(Object.entries(initialDrafts));
+
+  return {
+    load: (key) => drafts.get(key) ?? null,
+    save: (key, draft) => {
+      drafts.set(key, draft);
+    },
+    remove: (key) => {
+      drafts.delete(key);
+    },
+    entries: () => Object.fromEntries(drafts),
+  };
+}
+
+export const defaultDraftStorage = createLocalStorageAdapter();
+
+export function isEmptyDraft({ content, attachments, metadata }) {
+  return !content && attachments.length === 0 && Object.keys(metadata).length === 0;
+}
+
+/**
+ * Strip what can't be stored: attachments are kept as plain descriptors
+ * without their File objects. One left with nothing to send (no url) is
+ * marked `missingFile`, so the restored draft can't be sent without it.
+ */
+export function serializeDraft({ content, attachments, metadata }) {
+  return {
+    content,
+    attachments: attachments.map(({ file, ...descriptor }) =>
+      file && !descriptor.url ? { ...descriptor, missingFile: true } : descriptor
+    ),
+    metadata,
+  };
+}
+
+/**
+ * Save `draft` under `draftKey` after it has stopped changing for `delay` ms.
+ * A pending save is flushed when the page is hidden, the composer unmounts
+ * or `draftKey` changes, so a reload or a switch to another conversation
+ * right after typing doesn't lose the last keystrokes.
+ */
+export function useDraftPersistence(draftKey, storage, draft, delay = DEFAULT_SAVE_DELAY) {
+  const pendingSaveRef = useRef(null);
+
+  useEffect(() => {
+    // Switched conversations: the previous one's save can't wait
+    if (pendingSaveRef.current && pendingSaveRef.current.key !== draftKey) {
+      pendingSaveRef.current.save();
+    }
+    if (!draftKey) return;
+
+    const save = () => {
+      pendingSaveRef.current = null;
+      if (isEmptyDraft(draft)) {
+        storage.remove(draftKey);
+      } else {
+        storage.save(draftKey, serializeDraft(draft));
+      }
+    };
+
+    pendingSaveRef.current = { key: draftKey, save };
+    const timer = setTimeout(save, delay);
+    return () => clearTimeout(timer);
+  }, [draftKey, storage, draft, delay]);
+
+  useEffect(() => {
+    const flush = () => pendingSaveRef.current?.save();
+    window.addEventListener('pagehide', flush);
+
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, []);
+}
@@ -0,0 +1,48 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it } from 'vitest';
+import { createLocalStorageAdapter, serializeDraft } from './draftStorage';
+
+const photo = new File(['abc'], 'photo.png', { type: 'image/png' });
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+describe('serializeDraft', () => {
+  it('survives a save and load through localStorage', () => {
+    const storage = createLocalStorageAdapter();
+    const draft = {
+      content: 'See the notes',
+      attachments: [{ id: 'a1', name: 'notes.pdf', url: 'https://files.example/notes.pdf' }],
+      metadata: { mentions: [{ id: 'u1', name: 'Ada' }] },
+    };
+
+    storage.save('channel:general', serializeDraft(draft));
+
+    expect(storage.load('channel:general')).toEqual(draft);
+  });
+
+  it('leaves the File out and keeps the uploaded url', () => {
+    const storage = createLocalStorageAdapter();
+    const attachment = { id: 'a1', name: 'photo.png', file: photo, url: 'memory://1' };
+
+    storage.save('channel:general', serializeDraft({ content: '', attachments: [attachment], metadata: {} }));
+
+    expect(storage.load('channel:general').attachments).toEqual([
+      { id: 'a1', name: 'photo.png', url: 'memory://1' },
+    ]);
+  });
+
+  it('marks an attachment with only a File as missingFile', () => {
+    const storage = createLocalStorageAdapter();
+    const attachment = { id: 'a1', name: 'photo.png', type: 'image/png', file: photo };
+
+    storage.save('channel:general', serializeDraft({ content: 'Look', attachments: [attachment], metadata: {} }));
+
+    expect(storage.load('channel:general')).toEqual({
+      content: 'Look',
+      attachments: [{ id: 'a1', name: 'photo.png', type: 'image/png', missingFile: true }],
+      metadata: {},
+    });
+  });
+});
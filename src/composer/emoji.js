@@ -0,0 +1,172 @@
+/**
+ * Emoji
+ * =====
+ *
+ * Lookup, search, skin tones and per-user "recently used" emoji on top of
+ * the bundled data set (emojiData.js), plus the plugin that turns known
+ * :shortcodes: into emoji on submit.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { ALL_EMOJI } from './emojiData';
+import { createLocalStorageAdapter } from './draftStorage';
+
+const BY_SHORTCODE = new Map(
+  ALL_EMOJI.flatMap((emoji) => emoji.shortcodes.map((shortcode) => [shortcode, emoji]))
+);
+
+export const getEmojiByShortcode = (shortcode) => BY_SHORTCODE.get(shortcode) ?? null;
+
+/**
+ * Emoji matching `query`: shortcodes starting with it first, then names,
+ * shortcodes and keywords containing it.
+ */
+export function searchEmoji(query, { limit = 8 } = {}) {
+  const needle = query.toLowerCase().trim();
+  if (!needle) return [];
+
+  const rank = (emoji) => {
+    if (emoji.shortcodes.some((shortcode) => shortcode.startsWith(needle))) return 0;
+    if (emoji.name.includes(needle)) return 1;
+    if ([...emoji.shortcodes, ...emoji.keywords].some((word) => word.includes(needle))) return 2;
+    return -1;
+  };
+
+  return ALL_EMOJI
+    .map((emoji) => ({ emoji, rank: rank(emoji) }))
+    .filter(({ rank: score }) => score !== -1)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ emoji }) => emoji);
+}
+
+// Autocomplete source for ':' (see autocomplete.js)
+export const emojiShortcodeSource = (query) => searchEmoji(query);
+
+// ============================================================
+// Skin tones
+// ============================================================
+
+export const SKIN_TONES = Object.freeze([
+  { id: 0, label: 'Default', modifier: '', swatch: '✋' },
+  { id: 1, label: 'Light', modifier: '\u{1F3FB}', swatch: '✋🏻' },
+  { id: 2, label: 'Medium-light', modifier: '\u{1F3FC}', swatch: '✋🏼' },
+  { id: 3, label: 'Medium', modifier: '\u{1F3FD}', swatch: '✋🏽' },
+  { id: 4, label: 'Medium-dark', modifier: '\u{1F3FE}', swatch: '✋🏾' },
+  { id: 5, label: 'Dark', modifier: '\u{1F3FF}', swatch: '✋🏿' },
+]);
+
+/**
+ * The emoji's character in the given skin tone. The modifier follows the
+ * first code point, replacing a variation selector ('✌️' -> '✌🏽').
+ */
+export function getEmojiChar(emoji, skinTone = 0) {
+  const modifier = SKIN_TONES[skinTone]?.modifier;
+  if (!emoji.skinTones || !modifier) return emoji.char;
+
+  const [base, ...rest] = [...emoji.char];
+  const tail = rest[0] === '\uFE0F' ? rest.slice(1) : rest;
+  return base + modifier + tail.join('');
+}
+
+// ============================================================
+// Recently used emoji, per user
+// ============================================================
+
+export const DEFAULT_RECENT_LIMIT = 24;
+
+export const defaultEmojiStorage = createLocalStorageAdapter({ prefix: 'composer-emoji:' });
+
+/**
+ * Recently used emoji (by shortcode, most recent first) and the preferred
+ * skin tone of one user, kept in a storage adapter (see draftStorage.js)
+ * under the user's id. A small store: { recent, skinTone }.
+ */
+export function createRecentEmojiStore({
+  userId,
+  storage = defaultEmojiStorage,
+  limit = DEFAULT_RECENT_LIMIT,
+}) {
+  const saved = storage.load(userId);
+  let state = { recent: saved?.recent ?? [], skinTone: saved?.skinTone ?? 0 };
+  const listeners = new Set();
+
+  const update = (patch) => {
+    state = { ...state, ...patch };
+    storage.save(userId, state);
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Record a use of the emoji (moves it to the front)
+    add(emoji) {
+      const [shortcode] = emoji.shortcodes;
+      update({
+        recent: [shortcode, ...state.recent.filter((code) => code !== shortcode)].slice(0, limit),
+      });
+    },
+
+    setSkinTone(skinTone) {
+      update({ skinTone });
+    },
+  };
+}
+
+// One store per user and storage, so every picker of a user stays in sync
+const sharedStores = new WeakMap();
+
+export function getRecentEmojiStore(userId, storage = defaultEmojiStorage) {
+  if (!sharedStores.has(storage)) sharedStores.set(storage, new Map());
+  const stores = sharedStores.get(storage);
+  if (!stores.has(userId)) stores.set(userId, createRecentEmojiStore({ userId, storage }));
+  return stores.get(userId);
+}
+
+/**
+ * { recent: emoji[], skinTone } from a recent-emoji store.
+ */
+export function useRecentEmoji(store) {
+  const { recent, skinTone } = useSyncExternalStore(store.subscribe, store.getState);
+  return {
+    recent: recent.map(getEmojiByShortcode).filter(Boolean),
+    skinTone,
+  };
+}
+
+// ============================================================
+// :shortcode: conversion on submit
+// ============================================================
+
+// Code spans and fenced blocks are left alone - `:tada:` there is literal
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+const SHORTCODE_PATTERN = /:([\w+-]+):/g;
+
+/**
+ * Replace known :shortcodes: with their emoji; unknown ones stay as typed.
+ */
+export function replaceShortcodes(content) {
+  const replace = (text) =>
+    text.replace(SHORTCODE_PATTERN, (match, shortcode) => getEmojiByShortcode(shortcode)?.char ?? match);
+
+  let result = '';
+  let last = 0;
+  for (const code of content.matchAll(CODE_PATTERN)) {
+    result += replace(content.slice(last, code.index)) + code[0];
+    last = code.index + code[0].length;
+  }
+  return result + replace(content.slice(last));
+}
+
+export const emojiShortcodesPlugin = {
+  name: 'emojiShortcodes',
+  transformContent: (content) => replaceShortcodes(content),
+};
@@ -0,0 +1,296 @@
+/**
+ * Emoji Data
+ * ==========
+ *
+ * The emoji set bundled with the composer, so the picker and shortcode
+ * completion work offline and without a CDN. It is a curated subset;
+ * swap in a full data set by keeping the same shape:
+ *
+ *   { char, name, shortcodes: ['tada'], keywords: ['party'], skinTones? }
+ *
+ * Shortcodes follow the common Slack/GitHub names. `skinTones` marks
+ * emoji that accept a skin tone modifier.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+// Compact rows: [char, name, 'shortcode other_shortcode', 'keywords', skinTones]
+const row = ([char, name, shortcodes, keywords = '', skinTones = false]) => ({
+  char,
+  name,
+  shortcodes: shortcodes.split(' '),
+  keywords: keywords ? keywords.split(' ') : [],
+  skinTones,
+});
+
+export const EMOJI_CATEGORIES = [
+  {
+    id: 'smileys',
+    label: 'Smileys & People',
+    icon: '😀',
+    emojis: [
+      ['😀', 'grinning face', 'grinning', 'happy smile'],
+      ['😃', 'smiling face with big eyes', 'smiley', 'happy joy'],
+      ['😄', 'smiling face with smiling eyes', 'smile', 'happy joy laugh'],
+      ['😁', 'beaming face', 'grin', 'happy'],
+      ['😆', 'grinning squinting face', 'laughing satisfied', 'happy laugh'],
+      ['😅', 'grinning face with sweat', 'sweat_smile', 'relief nervous'],
+      ['😂', 'face with tears of joy', 'joy', 'laugh cry lol'],
+      ['🤣', 'rolling on the floor laughing', 'rofl', 'laugh lol'],
+      ['🙂', 'slightly smiling face', 'slightly_smiling_face', 'smile'],
+      ['😉', 'winking face', 'wink', 'flirt'],
+      ['😊', 'smiling face with smiling eyes', 'blush', 'happy proud'],
+      ['😇', 'smiling face with halo', 'innocent', 'angel'],
+      ['🥰', 'smiling face with hearts', 'smiling_face_with_three_hearts', 'love crush'],
+      ['😍', 'smiling face with heart-eyes', 'heart_eyes', 'love crush'],
+      ['😘', 'face blowing a kiss', 'kissing_heart', 'love kiss'],
+      ['😋', 'face savoring food', 'yum', 'tasty delicious'],
+      ['😜', 'winking face with tongue', 'stuck_out_tongue_winking_eye', 'silly joke'],
+      ['🤔', 'thinking face', 'thinking', 'hmm consider'],
+      ['🤨', 'face with raised eyebrow', 'raised_eyebrow', 'skeptical doubt'],
+      ['😐', 'neutral face', 'neutral_face', 'meh'],
+      ['😑', 'expressionless face', 'expressionless', 'blank'],
+      ['🙄', 'face with rolling eyes', 'roll_eyes', 'eyeroll whatever'],
+      ['😏', 'smirking face', 'smirk', 'smug'],
+      ['😬', 'grimacing face', 'grimacing', 'awkward oops'],
+      ['😌', 'relieved face', 'relieved', 'calm'],
+      ['😴', 'sleeping face', 'sleeping', 'tired zzz'],
+      ['😎', 'smiling face with sunglasses', 'sunglasses', 'cool'],
+      ['🤓', 'nerd face', 'nerd_face', 'geek'],
+      ['😕', 'confused face', 'confused', 'puzzled'],
+      ['😟', 'worried face', 'worried', 'nervous'],
+      ['😮', 'face with open mouth', 'open_mouth', 'surprised wow'],
+      ['😲', 'astonished face', 'astonished', 'shocked'],
+      ['😳', 'flushed face', 'flushed', 'embarrassed'],
+      ['🥺', 'pleading face', 'pleading_face', 'puppy eyes please'],
+      ['😢', 'crying face', 'cry', 'sad tear'],
+      ['😭', 'loudly crying face', 'sob', 'sad cry'],
+      ['😱', 'face screaming in fear', 'scream', 'horror shocked'],
+      ['😤', 'face with steam from nose', 'triumph', 'angry frustrated'],
+      ['😡', 'pouting face', 'rage', 'angry mad'],
+      ['🤯', 'exploding head', 'exploding_head', 'mind blown'],
+      ['🥳', 'partying face', 'partying_face', 'celebrate party birthday'],
+      ['🤗', 'hugging face', 'hugs', 'hug thanks'],
+      ['🤫', 'shushing face', 'shushing_face', 'quiet secret'],
+      ['🤐', 'zipper-mouth face', 'zipper_mouth_face', 'secret'],
+      ['😷', 'face with medical mask', 'mask', 'sick'],
+      ['🤒', 'face with thermometer', 'face_with_thermometer', 'sick ill'],
+      ['🤮', 'face vomiting', 'vomiting_face', 'sick gross'],
+      ['🥵', 'hot face', 'hot_face', 'heat sweating'],
+      ['🥶', 'cold face', 'cold_face', 'freezing'],
+      ['💀', 'skull', 'skull', 'dead dying'],
+      ['💩', 'pile of poo', 'poop hankey', 'poo'],
+      ['🤡', 'clown face', 'clown_face', 'clown'],
+      ['👻', 'ghost', 'ghost', 'halloween boo'],
+      ['🤖', 'robot', 'robot', 'bot machine'],
+      ['👋', 'waving hand', 'wave', 'hello hi bye', true],
+      ['👍', 'thumbs up', '+1 thumbsup', 'yes agree like approve', true],
+      ['👎', 'thumbs down', '-1 thumbsdown', 'no disagree dislike', true],
+      ['👌', 'OK hand', 'ok_hand', 'okay perfect', true],
+      ['✌️', 'victory hand', 'v', 'peace', true],
+      ['🤞', 'crossed fingers', 'crossed_fingers', 'luck hope', true],
+      ['🤝', 'handshake', 'handshake', 'deal agreement', false],
+      ['👏', 'clapping hands', 'clap', 'applause congrats bravo', true],
+      ['🙌', 'raising hands', 'raised_hands', 'celebrate hooray', true],
+      ['🙏', 'folded hands', 'pray', 'please thanks hope', true],
+      ['💪', 'flexed biceps', 'muscle', 'strong', true],
+      ['👀', 'eyes', 'eyes', 'look see watching'],
+      ['🧠', 'brain', 'brain', 'smart'],
+      ['👉', 'backhand index pointing right', 'point_right', 'right', true],
+      ['👆', 'backhand index pointing up', 'point_up_2', 'up', true],
+      ['🫡', 'saluting face', 'saluting_face', 'yes sir respect'],
+      ['🤷', 'person shrugging', 'shrug', 'dunno whatever', true],
+      ['🤦', 'person facepalming', 'facepalm', 'disbelief', true],
+      ['🙋', 'person raising hand', 'raising_hand', 'question me', true],
+    ],
+  },
+  {
+    id: 'nature',
+    label: 'Animals & Nature',
+    icon: '🐶',
+    emojis: [
+      ['🐶', 'dog face', 'dog', 'puppy pet'],
+      ['🐱', 'cat face', 'cat', 'kitten pet'],
+      ['🐭', 'mouse face', 'mouse', 'rodent'],
+      ['🦊', 'fox', 'fox_face', 'fox'],
+      ['🐻', 'bear', 'bear', 'teddy'],
+      ['🐼', 'panda', 'panda_face', 'panda'],
+      ['🐨', 'koala', 'koala', 'australia'],
+      ['🦁', 'lion', 'lion', 'king'],
+      ['🐸', 'frog', 'frog', 'toad'],
+      ['🐵', 'monkey face', 'monkey_face', 'monkey'],
+      ['🙈', 'see-no-evil monkey', 'see_no_evil', 'monkey oops'],
+      ['🐔', 'chicken', 'chicken', 'bird'],
+      ['🐧', 'penguin', 'penguin', 'bird'],
+      ['🦄', 'unicorn', 'unicorn', 'magic'],
+      ['🐝', 'honeybee', 'bee honeybee', 'busy'],
+      ['🐛', 'bug', 'bug', 'insect'],
+      ['🦋', 'butterfly', 'butterfly', 'insect'],
+      ['🐢', 'turtle', 'turtle', 'slow'],
+      ['🐍', 'snake', 'snake', 'python'],
+      ['🐙', 'octopus', 'octopus', 'github'],
+      ['🐳', 'spouting whale', 'whale', 'docker sea'],
+      ['🌵', 'cactus', 'cactus', 'desert'],
+      ['🌲', 'evergreen tree', 'evergreen_tree', 'forest'],
+      ['🌱', 'seedling', 'seedling', 'plant grow'],
+      ['🍀', 'four leaf clover', 'four_leaf_clover', 'luck'],
+      ['🌸', 'cherry blossom', 'cherry_blossom', 'flower spring'],
+      ['🌻', 'sunflower', 'sunflower', 'flower'],
+      ['🌈', 'rainbow', 'rainbow', 'pride'],
+      ['☀️', 'sun', 'sunny', 'weather'],
+      ['🌙', 'crescent moon', 'crescent_moon', 'night'],
+      ['⭐', 'star', 'star', 'favorite'],
+      ['⚡', 'high voltage', 'zap', 'lightning fast'],
+      ['❄️', 'snowflake', 'snowflake', 'winter cold'],
+      ['🔥', 'fire', 'fire', 'hot lit'],
+      ['🌊', 'water wave', 'ocean', 'sea wave'],
+    ],
+  },
+  {
+    id: 'food',
+    label: 'Food & Drink',
+    icon: '🍕',
+    emojis: [
+      ['🍎', 'red apple', 'apple', 'fruit'],
+      ['🍌', 'banana', 'banana', 'fruit'],
+      ['🍉', 'watermelon', 'watermelon', 'fruit summer'],
+      ['🍓', 'strawberry', 'strawberry', 'fruit'],
+      ['🥑', 'avocado', 'avocado', 'fruit'],
+      ['🌶️', 'hot pepper', 'hot_pepper', 'spicy'],
+      ['🥐', 'croissant', 'croissant', 'bread breakfast'],
+      ['🧀', 'cheese wedge', 'cheese', 'cheese'],
+      ['🍔', 'hamburger', 'hamburger', 'burger food'],
+      ['🍟', 'french fries', 'fries', 'chips'],
+      ['🍕', 'pizza', 'pizza', 'food'],
+      ['🌮', 'taco', 'taco', 'mexican'],
+      ['🍣', 'sushi', 'sushi', 'japanese'],
+      ['🍜', 'steaming bowl', 'ramen', 'noodles'],
+      ['🍩', 'doughnut', 'doughnut', 'donut dessert'],
+      ['🍪', 'cookie', 'cookie', 'dessert'],
+      ['🎂', 'birthday cake', 'birthday', 'cake party'],
+      ['🍫', 'chocolate bar', 'chocolate_bar', 'sweet'],
+      ['🍿', 'popcorn', 'popcorn', 'movie'],
+      ['☕', 'hot beverage', 'coffee', 'tea morning'],
+      ['🍵', 'teacup without handle', 'tea', 'green'],
+      ['🍺', 'beer mug', 'beer', 'drink'],
+      ['🍻', 'clinking beer mugs', 'beers', 'cheers drinks'],
+      ['🍷', 'wine glass', 'wine_glass', 'drink'],
+      ['🥂', 'clinking glasses', 'clinking_glasses', 'cheers celebrate'],
+    ],
+  },
+  {
+    id: 'activities',
+    label: 'Activities',
+    icon: '⚽',
+    emojis: [
+      ['🎉', 'party popper', 'tada', 'party celebrate congrats hooray'],
+      ['🎊', 'confetti ball', 'confetti_ball', 'party celebrate'],
+      ['🎈', 'balloon', 'balloon', 'party birthday'],
+      ['🎁', 'wrapped gift', 'gift', 'present birthday'],
+      ['🏆', 'trophy', 'trophy', 'win award'],
+      ['🥇', '1st place medal', 'first_place_medal', 'gold win'],
+      ['⚽', 'soccer ball', 'soccer', 'football sports'],
+      ['🏀', 'basketball', 'basketball', 'sports'],
+      ['🎾', 'tennis', 'tennis', 'sports'],
+      ['🎯', 'bullseye', 'dart', 'target goal'],
+      ['🎮', 'video game', 'video_game', 'gaming controller'],
+      ['🎲', 'game die', 'game_die', 'dice random'],
+      ['🧩', 'puzzle piece', 'jigsaw', 'puzzle'],
+      ['🎨', 'artist palette', 'art', 'design paint'],
+      ['🎵', 'musical note', 'musical_note', 'music'],
+      ['🎸', 'guitar', 'guitar', 'music rock'],
+      ['🏃', 'person running', 'running', 'run exercise', true],
+      ['🚴', 'person biking', 'bicyclist', 'bike cycling', true],
+    ],
+  },
+  {
+    id: 'travel',
+    label: 'Travel & Places',
+    icon: '🚀',
+    emojis: [
+      ['🚀', 'rocket', 'rocket', 'launch ship deploy'],
+      ['✈️', 'airplane', 'airplane', 'flight travel'],
+      ['🚗', 'automobile', 'car red_car', 'drive'],
+      ['🚲', 'bicycle', 'bike', 'cycle'],
+      ['🚂', 'locomotive', 'steam_locomotive', 'train'],
+      ['🚢', 'ship', 'ship', 'boat'],
+      ['⛵', 'sailboat', 'boat sailboat', 'sail'],
+      ['🗺️', 'world map', 'world_map', 'travel'],
+      ['🏠', 'house', 'house', 'home'],
+      ['🏢', 'office building', 'office', 'work'],
+      ['🏖️', 'beach with umbrella', 'beach_umbrella', 'vacation holiday'],
+      ['⛰️', 'mountain', 'mountain', 'hike'],
+      ['🌍', 'globe showing Europe-Africa', 'earth_africa globe', 'world'],
+      ['🌋', 'volcano', 'volcano', 'eruption'],
+      ['🚧', 'construction', 'construction', 'wip work in progress'],
+      ['🚨', 'police car light', 'rotating_light', 'alert siren incident'],
+    ],
+  },
+  {
+    id: 'objects',
+    label: 'Objects',
+    icon: '💡',
+    emojis: [
+      ['💡', 'light bulb', 'bulb', 'idea'],
+      ['💻', 'laptop', 'computer', 'laptop code'],
+      ['⌨️', 'keyboard', 'keyboard', 'type'],
+      ['📱', 'mobile phone', 'iphone', 'phone'],
+      ['📷', 'camera', 'camera', 'photo'],
+      ['📚', 'books', 'books', 'read library'],
+      ['📝', 'memo', 'memo pencil', 'note write'],
+      ['📎', 'paperclip', 'paperclip', 'attachment'],
+      ['📌', 'pushpin', 'pushpin', 'pin'],
+      ['📅', 'calendar', 'date', 'calendar schedule'],
+      ['📈', 'chart increasing', 'chart_with_upwards_trend', 'graph growth'],
+      ['📉', 'chart decreasing', 'chart_with_downwards_trend', 'graph decline'],
+      ['🔒', 'locked', 'lock', 'security private'],
+      ['🔑', 'key', 'key', 'password'],
+      ['🔧', 'wrench', 'wrench', 'tool fix'],
+      ['🔨', 'hammer', 'hammer', 'tool build'],
+      ['⚙️', 'gear', 'gear', 'settings'],
+      ['🧪', 'test tube', 'test_tube', 'experiment test'],
+      ['🔍', 'magnifying glass tilted left', 'mag', 'search'],
+      ['⏰', 'alarm clock', 'alarm_clock', 'time wake'],
+      ['⏳', 'hourglass not done', 'hourglass_flowing_sand', 'wait time'],
+      ['💰', 'money bag', 'moneybag', 'money dollar'],
+      ['📦', 'package', 'package', 'box ship release'],
+      ['✉️', 'envelope', 'email envelope', 'mail letter'],
+      ['🔔', 'bell', 'bell', 'notification'],
+      ['📣', 'megaphone', 'mega', 'announcement'],
+    ],
+  },
+  {
+    id: 'symbols',
+    label: 'Symbols',
+    icon: '❤️',
+    emojis: [
+      ['❤️', 'red heart', 'heart', 'love like'],
+      ['🧡', 'orange heart', 'orange_heart', 'love'],
+      ['💛', 'yellow heart', 'yellow_heart', 'love'],
+      ['💚', 'green heart', 'green_heart', 'love'],
+      ['💙', 'blue heart', 'blue_heart', 'love'],
+      ['💜', 'purple heart', 'purple_heart', 'love'],
+      ['🖤', 'black heart', 'black_heart', 'love'],
+      ['💔', 'broken heart', 'broken_heart', 'sad'],
+      ['💯', 'hundred points', '100', 'perfect score'],
+      ['✅', 'check mark button', 'white_check_mark', 'done yes ok'],
+      ['✔️', 'check mark', 'heavy_check_mark', 'done yes'],
+      ['❌', 'cross mark', 'x', 'no wrong'],
+      ['⚠️', 'warning', 'warning', 'caution'],
+      ['⛔', 'no entry', 'no_entry', 'stop forbidden'],
+      ['❓', 'red question mark', 'question', 'what'],
+      ['❗', 'red exclamation mark', 'exclamation heavy_exclamation_mark', 'important'],
+      ['💤', 'zzz', 'zzz', 'sleep'],
+      ['💬', 'speech balloon', 'speech_balloon', 'comment chat'],
+      ['✨', 'sparkles', 'sparkles', 'shiny new magic'],
+      ['🆕', 'NEW button', 'new', 'fresh'],
+      ['🆗', 'OK button', 'ok', 'okay'],
+      ['🔴', 'red circle', 'red_circle', 'record'],
+      ['🟢', 'green circle', 'green_circle', 'online'],
+      ['➡️', 'right arrow', 'arrow_right', 'next'],
+      ['🔁', 'repeat button', 'repeat', 'loop retry'],
+    ],
+  },
+].map((category) => ({ ...category, emojis: category.emojis.map(row) }));
+
+export const ALL_EMOJI = EMOJI_CATEGORIES.flatMap((category) => category.emojis);
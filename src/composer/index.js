@@ -8,7 +8,56 @@
 
 // Core Context & Provider
 export { ComposerProvider } from './ComposerContext';
-export { ComposerContext, useComposer } from './ComposerContextValue';
+export {
+  ComposerContext,
+  useComposer,
+  useComposerSelector,
+  useComposerActions,
+  useComposerPlugin,
+  useComposerKeyBinding,
+  SUBMIT_STATUS,
+} from './ComposerContextValue';
+export { shallowEqual } from './composerState';
+
+// Validation
+export {
+  runValidators,
+  requireContent,
+  maxLength,
+  requireMetadata,
+} from './validators';
+
+// Plugins
+export {
+  trimWhitespacePlugin,
+  clientTimestampPlugin,
+  stripTrackingParamsPlugin,
+  createMessageCounterPlugin,
+  SUBMIT_HANDLED,
+} from './composerPlugins';
+
+// Store Adapters
+export {
+  composerReducer,
+  composersReducer,
+  createReducerStore,
+  createComposerStore,
+  createReduxComposerAdapter,
+  createControlledComposerStore,
+  normalizeDraft,
+  COMPOSER_ACTIONS,
+} from './composerStore';
+
+// Draft Persistence
+export {
+  createLocalStorageAdapter,
+  createMemoryStorageAdapter,
+} from './draftStorage';
+
+// Offline Outbox
+export { OutboxProvider } from './OutboxProvider';
+export { OutboxContext, useOutbox, usePendingMessages } from './OutboxContextValue';
+export { createOutbox, OUTBOX_STATUS } from './outbox';
 
 // Primitive Components
 export {
@@ -16,10 +65,160 @@ export {
   ComposerFooter,
   ComposerActions,
   ComposerButton,
+  ComposerFormatButton,
+  ComposerFormattingToolbar,
+  ComposerSuggestionList,
   ComposerAttachments,
   ComposerContainer,
 } from './ComposerComponents';
 
+// Keyboard Shortcuts
+export {
+  DEFAULT_KEYMAP,
+  MOD_ENTER_TO_SEND,
+  COMMANDS,
+  matchesKeyCombo,
+  formatKeyCombo,
+} from './composerKeymap';
+
+// Mentions & Autocomplete
+export { ComposerMentionPopover } from './ComposerMentions';
+export {
+  createUserDirectorySource,
+  getMentionEntities,
+  insertMention,
+  insertMentionTrigger,
+  mentionsPlugin,
+} from './mentions';
+export { findTriggerQuery, useAutocomplete } from './autocomplete';
+
+// File Attachments
+export {
+  createAttachment,
+  createAttachmentId,
+  checkFiles,
+  isAcceptedFile,
+  formatFileSize,
+  getFileIcon,
+  hasThumbnail,
+  createPreviewStore,
+  getMissingFileErrors,
+} from './attachments';
+export {
+  UPLOAD_STATUS,
+  createUploadManager,
+  getUploadErrors,
+  createFakeUploader,
+} from './uploads';
+
+// Slash Commands
+export { ComposerSlashCommands } from './ComposerSlashCommands';
+export {
+  parseCommand,
+  splitCommandArgs,
+  createCommandRegistry,
+  createSlashCommandsPlugin,
+  shrugCommand,
+  topicCommand,
+  pollCommand,
+  createRemindCommand,
+} from './slashCommands';
+
+// Emoji
+export { ComposerEmojiPicker, ComposerEmojiAutocomplete } from './ComposerEmoji';
+export {
+  getEmojiByShortcode,
+  searchEmoji,
+  emojiShortcodeSource,
+  SKIN_TONES,
+  getEmojiChar,
+  createRecentEmojiStore,
+  getRecentEmojiStore,
+  useRecentEmoji,
+  replaceShortcodes,
+  emojiShortcodesPlugin,
+} from './emoji';
+export { EMOJI_CATEGORIES, ALL_EMOJI } from './emojiData';
+
+// Markdown Formatting
+export {
+  FORMATS,
+  FORMAT_SHORTCUTS,
+  toggleFormat,
+  getActiveFormats,
+  isFormatActive,
+} from './markdownFormatting';
+
+// Rich Text Document
+export {
+  BLOCK_TYPES,
+  MARK_TYPES,
+  ENTITY_TYPES,
+  createDocument,
+  createBlock,
+  parseMarkdown,
+  parseInline,
+  toMarkdown,
+  toHTML,
+  toPlainText,
+  getInlineTree,
+  groupBlocks,
+  escapeHTML,
+  getSafeHref,
+  useComposerDocument,
+  richTextPlugin,
+} from './richText';
+export { highlightCode, TOKEN_TYPES } from './syntaxHighlight';
+
+// Link Previews
+export { ComposerLinkPreviews, LinkPreviewCard } from './ComposerLinkPreviews';
+export {
+  LINK_PREVIEW_STATUS,
+  findLinks,
+  createCachedResolver,
+  createLinkPreviewManager,
+  getSelectedLinkPreviews,
+  createMemoryLinkResolver,
+} from './linkPreviews';
+
+// Text Stats and Length Limits
+export { ComposerCharacterCounter, ComposerStats } from './ComposerStats';
+export {
+  LIMIT_LEVELS,
+  countGraphemes,
+  countWords,
+  getTextStats,
+  getLimitStatus,
+  useComposerTextStats,
+} from './textStats';
+
+// Composer Manager
+export { ComposerManagerProvider } from './ComposerManagerProvider';
+export {
+  ComposerManagerContext,
+  useComposerManager,
+  useFocusedComposerId,
+  useUnsentDrafts,
+} from './ComposerManagerContextValue';
+export { createComposerManager } from './composerManager';
+
+// Typing Presence
+export { ComposerTypingUsers } from './ComposerTypingUsers';
+export {
+  DEFAULT_TYPING_THROTTLE,
+  DEFAULT_TYPING_IDLE_TIMEOUT,
+  DEFAULT_TYPING_EXPIRY,
+  createTypingReporter,
+  createTypingUsersStore,
+  getTypingUsersStore,
+  useTypingUsers,
+  formatTypingUsers,
+  createMemoryPresenceTransport,
+} from './typingPresence';
+
+// Message Preview
+export { MessageView, ComposerMessagePreview } from './ComposerMessagePreview';
+
 // Composition Examples
 export {
   ChannelComposer,
@@ -46,7 +245,6 @@ export {
 // Advanced Hooks
 export {
   useComposerWithTypingIndicator,
-  useReduxComposerState,
 } from './advancedHooks';
 
 // Advanced Utilities (HOCs, etc.)
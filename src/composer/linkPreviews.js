@@ -0,0 +1,258 @@
+/**
+ * Link Previews
+ * =============
+ *
+ * With a `linkResolver` (ComposerProvider prop), links typed into the
+ * draft get preview cards. A resolver is any object with one method:
+ *
+ *   resolve(url, { signal }) -> Promise<{ title, description?, image?, siteName? } | null>
+ *
+ * null means the page has no preview. Links are looked up once typing
+ * pauses, a lookup is aborted (`signal`) when its link is edited away,
+ * and results are cached per resolver, so every composer using the same
+ * resolver shares them.
+ *
+ * The previews live next to the draft, in content order:
+ *
+ * linkPreviews = [{ url, status, preview, error, dismissed }]
+ *
+ * A dismissed preview stays hidden while its link is in the draft. The
+ * ready, non-dismissed ones are sent as payload.linkPreviews.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { ENTITY_TYPES, parseMarkdown } from './richText';
+
+export const LINK_PREVIEW_STATUS = Object.freeze({
+  LOADING: 'loading',
+  READY: 'ready',
+  NONE: 'none', // The page has no preview
+  FAILED: 'failed',
+});
+
+export const DEFAULT_LINK_PREVIEW_DELAY = 400;
+export const DEFAULT_MAX_LINK_PREVIEWS = 3;
+
+const WEB_LINK = /^https?:\/\//i;
+
+/**
+ * The distinct web links in the content, in order - bare or [text](url),
+ * but not inside code.
+ */
+export function findLinks(content) {
+  const links = parseMarkdown(content).blocks
+    .flatMap((block) => block.entities)
+    .filter((entity) => entity.type === ENTITY_TYPES.LINK && WEB_LINK.test(entity.href))
+    .map((entity) => entity.href);
+  return [...new Set(links)];
+}
+
+const abortError = () => new DOMException('The lookup was aborted', 'AbortError');
+
+/**
+ * Wraps a resolver with a cache of the last `maxEntries` results (failed
+ * lookups aren't kept). Lookups of the same link share one request, which
+ * is aborted only once every caller has aborted.
+ */
+export function createCachedResolver(resolver, { maxEntries = 200 } = {}) {
+  const results = new Map();
+  const inFlight = new Map();
+
+  const remember = (url, result) => {
+    results.delete(url);
+    results.set(url, result);
+    if (results.size > maxEntries) results.delete(results.keys().next().value);
+  };
+
+  const request = (url) => {
+    const controller = new AbortController();
+    const entry = { controller, callers: 0 };
+    entry.promise = Promise.resolve()
+      .then(() => resolver.resolve(url, { signal: controller.signal }))
+      .then((result) => {
+        remember(url, result ?? null);
+        return result ?? null;
+      })
+      .finally(() => {
+        if (inFlight.get(url) === entry) inFlight.delete(url);
+      });
+    inFlight.set(url, entry);
+    return entry;
+  };
+
+  return {
+    resolve(url, { signal } = {}) {
+      if (signal?.aborted) return Promise.reject(abortError());
+      if (results.has(url)) return Promise.resolve(results.get(url));
+
+      const entry = inFlight.get(url) ?? request(url);
+      entry.callers += 1;
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          entry.callers -= 1;
+          if (entry.callers === 0) {
+            inFlight.delete(url);
+            entry.controller.abort();
+          }
+          reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        entry.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', onAbort));
+      });
+    },
+  };
+}
+
+// One cache per resolver object, shared by the composers using it
+const cachedResolvers = new WeakMap();
+
+function getCachedResolver(resolver) {
+  if (!cachedResolvers.has(resolver)) cachedResolvers.set(resolver, createCachedResolver(resolver));
+  return cachedResolvers.get(resolver);
+}
+
+/**
+ * Keeps the previews in step with the draft's content: sync() drops the
+ * previews of links that are gone right away, and looks up new links
+ * (the first `maxPreviews`) once the content has been still for `delay`
+ * ms. Without a resolver it does nothing.
+ */
+export function createLinkPreviewManager({
+  resolver,
+  delay = DEFAULT_LINK_PREVIEW_DELAY,
+  maxPreviews = DEFAULT_MAX_LINK_PREVIEWS,
+}) {
+  let state = [];
+  const listeners = new Set();
+  const controllers = new Map();
+  let lastContent = null;
+  let timer = null;
+  const cachedResolver = resolver ? getCachedResolver(resolver) : null;
+
+  const setState = (next) => {
+    state = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  const update = (url, patch) =>
+    setState(state.map((entry) => (entry.url === url ? { ...entry, ...patch } : entry)));
+
+  const abort = (url) => {
+    controllers.get(url)?.abort();
+    controllers.delete(url);
+  };
+
+  const lookUp = (url) => {
+    const controller = new AbortController();
+    controllers.set(url, controller);
+
+    cachedResolver.resolve(url, { signal: controller.signal }).then(
+      (preview) => {
+        if (controller.signal.aborted) return;
+        controllers.delete(url);
+        update(url, preview
+          ? { status: LINK_PREVIEW_STATUS.READY, preview: { ...preview, url } }
+          : { status: LINK_PREVIEW_STATUS.NONE });
+      },
+      (error) => {
+        if (controller.signal.aborted) return;
+        controllers.delete(url);
+        update(url, { status: LINK_PREVIEW_STATUS.FAILED, error: error?.message || 'Preview unavailable' });
+      }
+    );
+  };
+
+  const apply = (links) => {
+    const known = new Map(state.map((entry) => [entry.url, entry]));
+    const added = links.filter((url) => !known.has(url));
+    setState(links.map((url) => known.get(url) ?? {
+      url,
+      status: LINK_PREVIEW_STATUS.LOADING,
+      preview: null,
+      error: null,
+      dismissed: false,
+    }));
+    added.forEach(lookUp);
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    sync(content) {
+      if (!resolver || content === lastContent) return;
+      lastContent = content;
+
+      const links = findLinks(content).slice(0, maxPreviews);
+      const kept = state.filter((entry) => links.includes(entry.url));
+      if (kept.length !== state.length) {
+        state.filter((entry) => !links.includes(entry.url)).forEach((entry) => abort(entry.url));
+        setState(kept);
+      }
+
+      clearTimeout(timer);
+      if (links.every((url) => kept.some((entry) => entry.url === url))) return;
+      timer = setTimeout(() => apply(links), delay);
+    },
+
+    // Hide a preview (and stop looking it up) while its link stays
+    dismiss(url) {
+      abort(url);
+      update(url, { dismissed: true });
+    },
+
+    // What is sent with the message: the ready, non-dismissed previews
+    getSelectedPreviews: () => (resolver ? getSelectedLinkPreviews(state) : undefined),
+
+    // Stop everything, e.g. when the composer unmounts
+    destroy() {
+      clearTimeout(timer);
+      [...controllers.keys()].forEach(abort);
+      state = [];
+      lastContent = null;
+    },
+  };
+}
+
+export const getSelectedLinkPreviews = (linkPreviews) =>
+  linkPreviews
+    .filter((entry) => entry.status === LINK_PREVIEW_STATUS.READY && !entry.dismissed)
+    .map((entry) => entry.preview);
+
+// ============================================================
+// In-memory resolver for tests and demos
+// ============================================================
+
+/**
+ * Resolves links from a fixed table of previews ({ [url]: { title, ... } })
+ * after `delay` ms; other links have no preview. `requests` lists every
+ * url it was asked for, to check what the cache saved.
+ */
+export function createMemoryLinkResolver(previews = {}, { delay = 300 } = {}) {
+  const requests = [];
+
+  return {
+    requests,
+
+    resolve(url, { signal } = {}) {
+      requests.push(url);
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+        const timer = setTimeout(() => resolve(previews[url] ?? null), delay);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(abortError());
+        });
+      });
+    },
+  };
+}
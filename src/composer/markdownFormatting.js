@@ -0,0 +1,295 @@
+/**
+ * Markdown Formatting
+ * ===================
+ *
+ * Pure helpers behind the formatting toolbar. Each format toggles on the
+ * current selection ({ start, end }) and every edit returns
+ * { content, selection } so the caret lands where the user expects:
+ *
+ * - inline marks wrap the selection: **bold**, _italic_, ~~strike~~, `code`
+ * - line formats prefix every selected line: > quote, - bullets, 1. numbers
+ * - a code block fences the selected lines with ```
+ * - a link turns the selection into [text](url)
+ *
+ * Toggling a format that is already active removes it again;
+ * getActiveFormats() reports which ones are active at the selection.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+export const FORMATS = Object.freeze({
+  bold: { label: 'Bold', icon: 'B', type: 'inline', marker: '**' },
+  italic: { label: 'Italic', icon: 'I', type: 'inline', marker: '_' },
+  strikethrough: { label: 'Strikethrough', icon: 'S', type: 'inline', marker: '~~' },
+  code: { label: 'Code', icon: '`', type: 'inline', marker: '`' },
+  codeBlock: { label: 'Code block', icon: '```', type: 'codeBlock' },
+  quote: { label: 'Quote', icon: '❝', type: 'line', prefix: /^> /, make: () => '> ' },
+  bulletList: { label: 'Bulleted list', icon: '•', type: 'line', prefix: /^[-*] /, make: () => '- ' },
+  numberedList: {
+    label: 'Numbered list',
+    icon: '1.',
+    type: 'line',
+    prefix: /^\d+\. /,
+    make: (index) => `${index + 1}. `,
+  },
+  link: { label: 'Link', icon: '🔗', type: 'link' },
+});
+
+/**
+ * Default keyboard shortcuts, as key combos for the composer keymap
+ * (see composerKeymap.js)
+ */
+export const FORMAT_SHORTCUTS = Object.freeze({
+  bold: 'Mod+B',
+  italic: 'Mod+I',
+  code: 'Mod+E',
+  numberedList: 'Mod+Shift+7',
+  bulletList: 'Mod+Shift+8',
+});
+
+// ============================================================
+// Toggling
+// ============================================================
+
+export function toggleFormat(content, selection, format) {
+  const definition = FORMATS[format];
+  switch (definition.type) {
+    case 'inline':
+      return toggleInline(content, selection, definition.marker);
+    case 'line':
+      return toggleLinePrefix(content, selection, format);
+    case 'codeBlock':
+      return toggleCodeBlock(content, selection);
+    case 'link':
+      return toggleLink(content, selection);
+    default:
+      return { content, selection };
+  }
+}
+
+export function getActiveFormats(content, selection) {
+  return Object.keys(FORMATS).filter((format) => isFormatActive(content, selection, format));
+}
+
+export function isFormatActive(content, selection, format) {
+  const definition = FORMATS[format];
+  switch (definition.type) {
+    case 'inline':
+      return findInlineSpan(content, selection, definition.marker) !== null;
+    case 'line':
+      return getLines(content, selection).every((line) => definition.prefix.test(line.text));
+    case 'codeBlock':
+      return findCodeBlock(content, selection) !== null;
+    case 'link':
+      return findLink(content, selection) !== null;
+    default:
+      return false;
+  }
+}
+
+function toggleInline(content, { start, end }, marker) {
+  const span = findInlineSpan(content, { start, end }, marker);
+  const size = marker.length;
+
+  if (span) {
+    // Unwrap, keeping the same text selected
+    const unwrapped =
+      content.slice(0, span.open) +
+      content.slice(span.open + size, span.close) +
+      content.slice(span.close + size);
+    const shift = (position) =>
+      position - (position > span.open ? size : 0) - (position > span.close ? size : 0);
+    return {
+      content: unwrapped,
+      selection: {
+        start: clamp(shift(start), span.open, span.close - size),
+        end: clamp(shift(end), span.open, span.close - size),
+      },
+    };
+  }
+
+  return {
+    content: content.slice(0, start) + marker + content.slice(start, end) + marker + content.slice(end),
+    selection: { start: start + size, end: end + size },
+  };
+}
+
+/**
+ * The marker pair on the selection's line that encloses the selection -
+ * anywhere between the markers, or exactly including them.
+ * Returns { open, close } (marker offsets) or null.
+ */
+function findInlineSpan(content, { start, end }, marker) {
+  const line = getLineAt(content, start);
+  if (end > line.end) return null;
+
+  const positions = [];
+  for (let index = line.text.indexOf(marker); index !== -1; index = line.text.indexOf(marker, index + marker.length)) {
+    positions.push(line.start + index);
+  }
+
+  for (let pair = 0; pair + 1 < positions.length; pair += 2) {
+    const open = positions[pair];
+    const close = positions[pair + 1];
+    const inside = open + marker.length <= start && end <= close;
+    const exact = start === open && end === close + marker.length;
+    if (inside || exact) return { open, close };
+  }
+  return null;
+}
+
+function toggleLinePrefix(content, selection, format) {
+  const definition = FORMATS[format];
+  const lines = getLines(content, selection);
+  const active = lines.every((line) => definition.prefix.test(line.text));
+  const otherPrefixes = Object.values(FORMATS)
+    .filter((other) => other.type === 'line')
+    .map((other) => other.prefix);
+
+  const nextLines = lines.map((line, index) => {
+    if (active) return line.text.replace(definition.prefix, '');
+    // Switching list type replaces the old prefix instead of stacking
+    const stripped = otherPrefixes.reduce((text, prefix) => text.replace(prefix, ''), line.text);
+    return definition.make(index) + stripped;
+  });
+
+  const blockStart = lines[0].start;
+  const blockEnd = lines[lines.length - 1].end;
+  const block = nextLines.join('\n');
+  const nextContent = content.slice(0, blockStart) + block + content.slice(blockEnd);
+
+  if (selection.start === selection.end) {
+    const caret = Math.max(blockStart, selection.start + nextLines[0].length - lines[0].text.length);
+    return { content: nextContent, selection: { start: caret, end: caret } };
+  }
+  return { content: nextContent, selection: { start: blockStart, end: blockStart + block.length } };
+}
+
+const FENCE = '```';
+
+function toggleCodeBlock(content, selection) {
+  const block = findCodeBlock(content, selection);
+
+  if (block) {
+    const inner = content.slice(block.openLine.end + 1, block.closeLine.start - 1);
+    const nextContent = content.slice(0, block.openLine.start) + inner + content.slice(block.closeLine.end);
+    const shift = (position) => clamp(
+      position - (block.openLine.end + 1 - block.openLine.start),
+      block.openLine.start,
+      block.openLine.start + inner.length
+    );
+    return { content: nextContent, selection: { start: shift(selection.start), end: shift(selection.end) } };
+  }
+
+  const lines = getLines(content, selection);
+  const blockStart = lines[0].start;
+  const blockEnd = lines[lines.length - 1].end;
+  const inner = content.slice(blockStart, blockEnd);
+  const offset = FENCE.length + 1;
+
+  return {
+    content: `${content.slice(0, blockStart)}${FENCE}\n${inner}\n${FENCE}${content.slice(blockEnd)}`,
+    selection: selection.start === selection.end
+      ? { start: selection.start + offset, end: selection.start + offset }
+      : { start: blockStart + offset, end: blockStart + offset + inner.length },
+  };
+}
+
+/**
+ * The fenced block around the selection: an odd number of fence lines
+ * before it, and a closing fence after it.
+ */
+function findCodeBlock(content, selection) {
+  const all = getAllLines(content);
+  const startIndex = all.findIndex((line) => line.end >= selection.start);
+  const endIndex = all.findIndex((line) => line.end >= selection.end);
+  const isFence = (line) => line.text.trim() === FENCE;
+
+  let openIndex = -1;
+  let fencesBefore = 0;
+  for (let index = 0; index < startIndex; index += 1) {
+    if (isFence(all[index])) {
+      fencesBefore += 1;
+      openIndex = index;
+    }
+  }
+  if (fencesBefore % 2 === 0) return null;
+
+  for (let index = startIndex; index < all.length; index += 1) {
+    if (isFence(all[index])) {
+      return index >= endIndex ? { openLine: all[openIndex], closeLine: all[index] } : null;
+    }
+  }
+  return null;
+}
+
+const LINK_PATTERN = /\[([^\]\n]*)\]\(([^)\s]*)\)/g;
+const URL_PLACEHOLDER = 'url';
+
+function toggleLink(content, selection) {
+  const link = findLink(content, selection);
+
+  if (link) {
+    const nextContent = content.slice(0, link.start) + link.text + content.slice(link.end);
+    return {
+      content: nextContent,
+      selection: { start: link.start, end: link.start + link.text.length },
+    };
+  }
+
+  // [selected text](url) with the url selected, ready to paste over;
+  // with nothing selected the link text comes first
+  const text = content.slice(selection.start, selection.end);
+  const nextContent = `${content.slice(0, selection.start)}[${text}](${URL_PLACEHOLDER})${content.slice(selection.end)}`;
+  if (!text) {
+    const caret = selection.start + 1;
+    return { content: nextContent, selection: { start: caret, end: caret } };
+  }
+  const urlStart = selection.start + text.length + 3;
+  return { content: nextContent, selection: { start: urlStart, end: urlStart + URL_PLACEHOLDER.length } };
+}
+
+function findLink(content, { start, end }) {
+  const line = getLineAt(content, start);
+  if (end > line.end) return null;
+
+  for (const match of line.text.matchAll(LINK_PATTERN)) {
+    const linkStart = line.start + match.index;
+    const linkEnd = linkStart + match[0].length;
+    if (linkStart <= start && end <= linkEnd) {
+      return { start: linkStart, end: linkEnd, text: match[1], url: match[2] };
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// Line helpers - lines are { start, end, text } with `end` before the '\n'
+// ============================================================
+
+function getAllLines(content) {
+  let start = 0;
+  return content.split('\n').map((text) => {
+    const line = { start, end: start + text.length, text };
+    start = line.end + 1;
+    return line;
+  });
+}
+
+function getLineAt(content, position) {
+  const start = content.lastIndexOf('\n', position - 1) + 1;
+  const newline = content.indexOf('\n', position);
+  const end = newline === -1 ? content.length : newline;
+  return { start, end, text: content.slice(start, end) };
+}
+
+// Lines touched by the selection; a selection ending right at the start
+// of a line doesn't include that line
+function getLines(content, { start, end }) {
+  const last = end > start && content[end - 1] === '\n' ? end - 1 : end;
+  return getAllLines(content).filter((line) => line.end >= start && line.start <= last);
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,132 @@
+/**
+ * Mentions
+ * ========
+ *
+ * Choosing a user from the '@' popover (ComposerMentionPopover) inserts
+ * their name as text ('@Ada Lovelace ') and records who it was in the
+ * draft's metadata:
+ *
+ *   metadata.mentions: [{ userId, text }]
+ *
+ * Only the text lives in the textarea, so offsets would go stale with
+ * every edit; mentionsPlugin works them out on submit instead and sends
+ * structured entities alongside the content:
+ *
+ *   payload.mentions: [{ type: 'mention', userId, text, start, end }]
+ *
+ * A mention whose text was edited away is dropped.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+/**
+ * User directory source backed by a list of users ({ id, name, handle? }),
+ * for demos and tests. A real one would query the server, passing the
+ * signal along to fetch().
+ */
+export function createUserDirectorySource(users, { delay = 150, limit = 8 } = {}) {
+  return (query, { signal } = {}) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const needle = query.toLowerCase();
+      const rank = (user) => {
+        const fields = [user.name, user.handle].filter(Boolean).map((field) => field.toLowerCase());
+        if (fields.some((field) => field.startsWith(needle))) return 0;
+        if (fields.some((field) => field.includes(needle))) return 1;
+        return -1;
+      };
+
+      resolve(
+        users
+          .map((user) => ({ user, rank: rank(user) }))
+          .filter(({ rank: score }) => score !== -1)
+          .sort((a, b) => a.rank - b.rank)
+          .slice(0, limit)
+          .map(({ user }) => user)
+      );
+    }, delay);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    });
+  });
+}
+
+export const getMentionText = (user) => `@${user.name}`;
+
+/**
+ * applyEdit() edit that replaces the typed '@query' with the user's name
+ * and records the mention in metadata - one undo step for both.
+ */
+export function insertMention(user, range) {
+  return (content, selection, draft) => {
+    const text = getMentionText(user);
+    const mentions = draft.metadata.mentions || [];
+    const known = mentions.some((mention) => mention.userId === user.id && mention.text === text);
+    const caret = range.start + text.length + 1;
+
+    return {
+      content: `${content.slice(0, range.start)}${text} ${content.slice(range.end)}`,
+      selection: { start: caret, end: caret },
+      metadata: known ? undefined : { mentions: [...mentions, { userId: user.id, text }] },
+    };
+  };
+}
+
+/**
+ * applyEdit() edit for a "Mention" button: types an '@' at the caret
+ * (after a space if needed), which opens the mention popover.
+ */
+export function insertMentionTrigger(content, { start, end }) {
+  const needsSpace = start > 0 && !/\s/.test(content[start - 1]);
+  const text = needsSpace ? ' @' : '@';
+  const caret = start + text.length;
+
+  return {
+    content: content.slice(0, start) + text + content.slice(end),
+    selection: { start: caret, end: caret },
+  };
+}
+
+/**
+ * Where each recorded mention still appears in `content`, in order.
+ * A match must end at a word boundary, so '@Ada' doesn't match inside
+ * '@Adam'.
+ */
+export function getMentionEntities(content, mentions = []) {
+  const entities = [];
+
+  mentions.forEach(({ userId, text }) => {
+    for (let start = content.indexOf(text); start !== -1; start = content.indexOf(text, start + 1)) {
+      const end = start + text.length;
+      if (!/\w/.test(content[end] ?? '')) {
+        entities.push({ type: 'mention', userId, text, start, end });
+      }
+    }
+  });
+
+  // Two recorded mentions can't claim the same text: '@Ada Lovelace'
+  // wins over '@Ada' at the same spot
+  return entities
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .reduce((kept, entity) => {
+      const previous = kept[kept.length - 1];
+      return previous && entity.start < previous.end ? kept : [...kept, entity];
+    }, []);
+}
+
+/**
+ * Turns metadata.mentions into payload.mentions entities on submit.
+ * Runs after the content transforms, so the offsets match what is sent.
+ */
+export const mentionsPlugin = {
+  name: 'mentions',
+  beforeSubmit: (payload) => {
+    const { mentions, ...metadata } = payload.metadata || {};
+    return {
+      ...payload,
+      metadata,
+      mentions: getMentionEntities(payload.content, mentions),
+    };
+  },
+};
@@ -0,0 +1,199 @@
+/**
+ * Offline Outbox
+ * ==============
+ *
+ * Queues submitted payloads and delivers them through `send`, retrying
+ * failures with exponential backoff. Each entry carries an idempotency key
+ * (sent along as `payload.idempotencyKey`) so the backend can drop
+ * duplicates when a retry races a slow success.
+ *
+ * Unsent entries are kept in a storage adapter (same interface as the
+ * draft storage, see draftStorage.js) so they survive a reload.
+ *
+ * Entry shape:
+ *   { id, payload, status, attempts, error, createdAt, nextAttemptAt }
+ * where status is one of OUTBOX_STATUS.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { createLocalStorageAdapter } from './draftStorage';
+
+export const OUTBOX_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  FAILED: 'failed',
+});
+
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+export const defaultOutboxStorage = createLocalStorageAdapter({ prefix: 'composer-outbox:' });
+
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Delay before the next attempt: 1s, 2s, 4s ... capped at 30s,
+ * with up to 20% jitter so reconnecting clients don't retry in lockstep.
+ */
+export function getRetryDelay(attempts, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  const delay = Math.min(baseDelay * 2 ** Math.max(attempts - 1, 0), maxDelay);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+export function createOutbox({
+  send,
+  storage = defaultOutboxStorage,
+  storageKey = 'default',
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelay = getRetryDelay,
+}) {
+  // Anything that was mid-flight when the page went away is queued again
+  let entries = (storage.load(storageKey) || []).map((entry) => ({
+    ...entry,
+    status: entry.status === OUTBOX_STATUS.SENDING ? OUTBOX_STATUS.QUEUED : entry.status,
+  }));
+  const listeners = new Set();
+  const timers = new Map();
+
+  const commit = (nextEntries) => {
+    entries = nextEntries;
+    if (entries.length > 0) {
+      storage.save(storageKey, entries);
+    } else {
+      storage.remove(storageKey);
+    }
+    listeners.forEach((listener) => listener());
+  };
+
+  const updateEntry = (id, patch) => {
+    commit(entries.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry)));
+  };
+
+  const schedule = (id, delay) => {
+    clearTimeout(timers.get(id));
+    timers.set(id, setTimeout(() => {
+      timers.delete(id);
+      deliver(id);
+    }, delay));
+  };
+
+  async function deliver(id) {
+    const entry = entries.find((e) => e.id === id);
+    if (!entry || entry.status === OUTBOX_STATUS.SENDING) return;
+
+    // Don't burn attempts while offline; the 'online' listener flushes
+    if (isOffline()) {
+      updateEntry(id, { status: OUTBOX_STATUS.QUEUED, error: 'Offline', nextAttemptAt: null });
+      return;
+    }
+
+    const attempts = entry.attempts + 1;
+    updateEntry(id, { status: OUTBOX_STATUS.SENDING, attempts, error: null, nextAttemptAt: null });
+
+    try {
+      await send({ ...entry.payload, idempotencyKey: entry.id });
+    } catch (error) {
+      // `send` may reject with anything, not just an Error
+      const message = error?.message ?? String(error);
+      if (attempts >= maxAttempts) {
+        updateEntry(id, { status: OUTBOX_STATUS.FAILED, error: message });
+        return;
+      }
+
+      const delay = retryDelay(attempts);
+      updateEntry(id, {
+        status: OUTBOX_STATUS.QUEUED,
+        error: message,
+        nextAttemptAt: Date.now() + delay,
+      });
+      schedule(id, delay);
+      return;
+    }
+
+    commit(entries.filter((e) => e.id !== id));
+  }
+
+  const flush = () => {
+    entries
+      .filter((entry) => entry.status === OUTBOX_STATUS.QUEUED)
+      .forEach((entry) => {
+        clearTimeout(timers.get(entry.id));
+        timers.delete(entry.id);
+        deliver(entry.id);
+      });
+  };
+
+  return {
+    getState: () => entries,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Queue a payload and start delivering it. Resolves as soon as the
+     * entry is stored - delivery happens in the background.
+     */
+    async enqueue(payload) {
+      const entry = {
+        id: createIdempotencyKey(),
+        payload,
+        status: OUTBOX_STATUS.QUEUED,
+        attempts: 0,
+        error: null,
+        createdAt: Date.now(),
+        nextAttemptAt: null,
+      };
+      commit([...entries, entry]);
+      deliver(entry.id);
+      return entry;
+    },
+
+    // Retry a failed (or waiting) entry right away, with a fresh attempt budget
+    retry(id) {
+      const entry = entries.find((e) => e.id === id);
+      if (!entry || entry.status === OUTBOX_STATUS.SENDING) return;
+
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+      updateEntry(id, { status: OUTBOX_STATUS.QUEUED, attempts: 0 });
+      deliver(id);
+    },
+
+    discard(id) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+      commit(entries.filter((entry) => entry.id !== id));
+    },
+
+    flush,
+
+    // Swap the delivery function (e.g. when a component re-renders with a new one)
+    setSend(nextSend) {
+      send = nextSend;
+    },
+
+    /**
+     * Deliver whatever is queued and keep flushing whenever the browser
+     * comes back online. Returns a function that stops it again.
+     */
+    start() {
+      window.addEventListener('online', flush);
+      flush();
+
+      return () => {
+        window.removeEventListener('online', flush);
+        timers.forEach((timer) => clearTimeout(timer));
+        timers.clear();
+      };
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createOutbox, OUTBOX_STATUS } from './outbox';
+import { createMemoryStorageAdapter } from './draftStorage';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createOutbox', () => {
+  it('retries a failed delivery and keeps the entry until it is sent', async () => {
+    const send = vi.fn()
+      .mockRejectedValueOnce(new Error('Network down'))
+      .mockResolvedValueOnce();
+    const storage = createMemoryStorageAdapter();
+    const outbox = createOutbox({ send, storage, retryDelay: () => 1000 });
+
+    const entry = await outbox.enqueue({ content: 'Hello' });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(outbox.getState()).toMatchObject([
+      { id: entry.id, status: OUTBOX_STATUS.QUEUED, attempts: 1, error: 'Network down' },
+    ]);
+    expect(storage.load('default')).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send).toHaveBeenLastCalledWith({ content: 'Hello', idempotencyKey: entry.id });
+    expect(outbox.getState()).toEqual([]);
+    expect(storage.load('default')).toBeNull();
+  });
+
+  it('fails an entry cleanly when send rejects with something other than an Error', async () => {
+    const outbox = createOutbox({
+      send: () => Promise.reject(undefined),
+      storage: createMemoryStorageAdapter(),
+      maxAttempts: 1,
+    });
+
+    await outbox.enqueue({ content: 'Hello' });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(outbox.getState()).toMatchObject([
+      { status: OUTBOX_STATUS.FAILED, attempts: 1, error: 'undefined' },
+    ]);
+  });
+});
@@ -0,0 +1,522 @@
+/**
+ * Rich Text Document
+ * ==================
+ *
+ * The draft's `content` stays a markdown string - updateContent and every
+ * text helper keep working on it - but it can be read as a document:
+ *
+ * {
+ *   type: 'doc',
+ *   blocks: [
+ *     {
+ *       type: 'paragraph',       // or quote, bulletItem, numberedItem, codeBlock
+ *       text: 'Ship it @Ada',    // plain text, markers removed
+ *       marks: [{ type: 'bold', start: 0, end: 4 }],
+ *       entities: [{ type: 'mention', userId: 'u1', start: 8, end: 12 }],
+ *     },
+ *   ],
+ * }
+ *
+ * Marks (bold, italic, strikethrough, code) and entities (link, mention)
+ * are ranges over the block's text, like payload.mentions are over the
+ * content. numberedItem blocks carry a `number`, codeBlock blocks a
+ * `language` (or null).
+ *
+ * parseMarkdown() builds a document from content; toMarkdown(), toHTML()
+ * and toPlainText() turn one back into text. richTextPlugin sends the
+ * document and a plain-text fallback with each message.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { useMemo } from 'react';
+import { useComposerSelector } from './ComposerContextValue';
+import { FORMATS } from './markdownFormatting';
+import { highlightCode, TOKEN_TYPES } from './syntaxHighlight';
+
+export const BLOCK_TYPES = Object.freeze({
+  PARAGRAPH: 'paragraph',
+  QUOTE: 'quote',
+  BULLET_ITEM: 'bulletItem',
+  NUMBERED_ITEM: 'numberedItem',
+  CODE_BLOCK: 'codeBlock',
+});
+
+export const MARK_TYPES = Object.freeze(['bold', 'italic', 'strikethrough', 'code']);
+
+export const ENTITY_TYPES = Object.freeze({
+  LINK: 'link',
+  MENTION: 'mention',
+});
+
+export function createDocument(blocks = []) {
+  return { type: 'doc', blocks };
+}
+
+export function createBlock(type, text = '', { marks = [], entities = [], ...attributes } = {}) {
+  return { type, text, marks, entities, ...attributes };
+}
+
+// ============================================================
+// Markdown -> document
+// ============================================================
+
+const FENCE_OPEN = /^```([\w+-]*)\s*$/;
+const FENCE_CLOSE = /^```\s*$/;
+
+const LINE_BLOCKS = [
+  [/^>(?: |$)/, BLOCK_TYPES.QUOTE],
+  [/^[-*] /, BLOCK_TYPES.BULLET_ITEM],
+  [/^(\d+)\. /, BLOCK_TYPES.NUMBERED_ITEM],
+];
+
+// Characters a backslash keeps from being read as markup
+const ESCAPABLE = /[\\`*_~[\]()>#+\-.!@]/;
+// Bare links, ending before trailing punctuation ("see https://example.com.")
+const BARE_LINK = /^https?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]]/i;
+// [text](href), where href may hold balanced parentheses (wiki links)
+const MARKDOWN_LINK = /^\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/;
+const WORD_CHAR = /\w/;
+
+/**
+ * The document for markdown `content`, one block per line (fenced code
+ * blocks span several). `mentions` are the draft's recorded mentions
+ * ({ userId, text }, metadata.mentions); their text becomes mention
+ * entities.
+ */
+export function parseMarkdown(content, { mentions = [] } = {}) {
+  const lines = content.split('\n');
+  const blocks = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const fence = FENCE_OPEN.exec(lines[index]);
+    const close = fence ? lines.findIndex((line, at) => at > index && FENCE_CLOSE.test(line)) : -1;
+
+    if (close !== -1) {
+      blocks.push(createBlock(BLOCK_TYPES.CODE_BLOCK, lines.slice(index + 1, close).join('\n'), {
+        language: fence[1] || null,
+      }));
+      index = close;
+    } else {
+      blocks.push(parseLine(lines[index], mentions));
+    }
+  }
+
+  return createDocument(blocks);
+}
+
+function parseLine(line, mentions) {
+  for (const [pattern, type] of LINE_BLOCKS) {
+    const match = pattern.exec(line);
+    if (match) {
+      const inline = parseInline(line.slice(match[0].length), { mentions });
+      return type === BLOCK_TYPES.NUMBERED_ITEM
+        ? createBlock(type, inline.text, { ...inline, number: Number(match[1]) })
+        : createBlock(type, inline.text, inline);
+    }
+  }
+  const inline = parseInline(line, { mentions });
+  return createBlock(BLOCK_TYPES.PARAGRAPH, inline.text, inline);
+}
+
+/**
+ * A single line of markdown as { text, marks, entities }.
+ */
+export function parseInline(source, { mentions = [] } = {}) {
+  const result = { text: '', marks: [], entities: [] };
+  // Longest first, so '@Ada Lovelace' wins over '@Ada'
+  const byLength = [...mentions].sort((a, b) => b.text.length - a.text.length);
+  parseSpan(source, result, byLength);
+
+  const byPosition = (a, b) => a.start - b.start || b.end - a.end;
+  result.marks.sort(byPosition);
+  result.entities.sort(byPosition);
+  return result;
+}
+
+// Appends `source` to result.text, recording marks and entities as it goes
+function parseSpan(source, result, mentions) {
+  let index = 0;
+
+  const wrap = (collection, range, inner) => {
+    const start = result.text.length;
+    if (typeof inner === 'string') {
+      result.text += inner;
+    } else {
+      inner();
+    }
+    collection.push({ ...range, start, end: result.text.length });
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index);
+    const before = source[index - 1] ?? '';
+
+    // \* -> a literal '*'
+    if (char === '\\' && ESCAPABLE.test(source[index + 1] ?? '')) {
+      result.text += source[index + 1];
+      index += 2;
+      continue;
+    }
+
+    // `code` - nothing inside is markup
+    if (char === '`') {
+      const run = /^`+/.exec(rest)[0];
+      const close = source.indexOf(run, index + run.length);
+      if (close > index + run.length) {
+        wrap(result.marks, { type: 'code' }, source.slice(index + run.length, close));
+        index = close + run.length;
+      } else {
+        result.text += run;
+        index += run.length;
+      }
+      continue;
+    }
+
+    // **bold**, ~~strikethrough~~
+    const pair = rest.slice(0, 2);
+    if (pair === '**' || pair === '~~') {
+      const close = findClosingMarker(source, pair, index + 2);
+      if (close !== -1) {
+        const inner = source.slice(index + 2, close);
+        wrap(result.marks, { type: pair === '**' ? 'bold' : 'strikethrough' }, () => parseSpan(inner, result, mentions));
+        index = close + 2;
+        continue;
+      }
+    }
+
+    // _italic_, *italic* - only around words, so snake_case stays as typed
+    if ((char === '_' || char === '*') && !WORD_CHAR.test(before) && source[index + 1] !== char) {
+      const close = findClosingMarker(source, char, index + 1);
+      if (close !== -1) {
+        const inner = source.slice(index + 1, close);
+        wrap(result.marks, { type: 'italic' }, () => parseSpan(inner, result, mentions));
+        index = close + 1;
+        continue;
+      }
+    }
+
+    // [text](href)
+    if (char === '[') {
+      const match = MARKDOWN_LINK.exec(rest);
+      if (match) {
+        wrap(result.entities, { type: ENTITY_TYPES.LINK, href: match[2] }, () => parseSpan(match[1], result, mentions));
+        index += match[0].length;
+        continue;
+      }
+    }
+
+    // https://example.com
+    if ((char === 'h' || char === 'H') && !WORD_CHAR.test(before)) {
+      const match = BARE_LINK.exec(rest);
+      if (match) {
+        wrap(result.entities, { type: ENTITY_TYPES.LINK, href: match[0] }, match[0]);
+        index += match[0].length;
+        continue;
+      }
+    }
+
+    // @Ada - only recorded mentions, ending at a word boundary
+    if (!WORD_CHAR.test(before)) {
+      const mention = mentions.find(({ text }) =>
+        source.startsWith(text, index) && !WORD_CHAR.test(source[index + text.length] ?? '')
+      );
+      if (mention) {
+        wrap(result.entities, { type: ENTITY_TYPES.MENTION, userId: mention.userId }, mention.text);
+        index += mention.text.length;
+        continue;
+      }
+    }
+
+    result.text += char;
+    index += 1;
+  }
+}
+
+/**
+ * Where the `marker` opened before `from` closes: not right after the
+ * opening, not after whitespace, and (for single-character markers) not
+ * inside a word or a doubled marker.
+ */
+function findClosingMarker(source, marker, from) {
+  if (/^\s/.test(source[from] ?? ' ')) return -1;
+
+  for (let close = source.indexOf(marker, from + 1); close !== -1; close = source.indexOf(marker, close + 1)) {
+    if (/\s/.test(source[close - 1])) continue;
+    if (marker.length === 1) {
+      const after = source[close + 1] ?? '';
+      if (after === marker || WORD_CHAR.test(after)) continue;
+    }
+    return close;
+  }
+  return -1;
+}
+
+// ============================================================
+// Document -> text
+// ============================================================
+
+/**
+ * A block's text as a tree of its marks and entities, for renderers:
+ * each node is a string or { range, children }. Ranges that cross each
+ * other are split, so the tree always nests.
+ */
+export function getInlineTree(block) {
+  const ranges = [...block.entities, ...block.marks]
+    .filter((range) => range.end > range.start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const boundaries = [...new Set([0, block.text.length, ...ranges.flatMap((range) => [range.start, range.end])])]
+    .sort((a, b) => a - b);
+
+  const root = { range: null, children: [] };
+  const stack = [root];
+  let next = 0;
+
+  const open = (range) => {
+    const node = { range, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  };
+
+  boundaries.forEach((position, at) => {
+    const firstEnding = stack.findIndex((node) => node.range && node.range.end <= position);
+    if (firstEnding !== -1) {
+      const reopened = stack.slice(firstEnding).filter((node) => node.range.end > position);
+      stack.length = firstEnding;
+      reopened.forEach((node) => open(node.range));
+    }
+
+    while (next < ranges.length && ranges[next].start === position) {
+      open(ranges[next]);
+      next += 1;
+    }
+
+    if (at < boundaries.length - 1) {
+      stack[stack.length - 1].children.push(block.text.slice(position, boundaries[at + 1]));
+    }
+  });
+
+  return root.children;
+}
+
+/**
+ * Render a block's inline tree as a string: `open(range)` and
+ * `close(range)` around each range, `text(segment, ranges)` for the text
+ * with the ranges it sits in.
+ */
+function renderInline(block, { text, open, close }) {
+  const render = (nodes, ranges) => nodes.map((node) => (
+    typeof node === 'string'
+      ? text(node, ranges)
+      : open(node.range) + render(node.children, [...ranges, node.range]) + close(node.range)
+  )).join('');
+
+  return render(getInlineTree(block), []);
+}
+
+const isBareLink = (range, block) =>
+  range.type === ENTITY_TYPES.LINK && block.text.slice(range.start, range.end) === range.href;
+
+// Inside a word, _ and * are never markup, so snake_case stays readable
+const escapeMarkdown = (text) =>
+  text.replace(/[\\`*_[\]]|~~/g, (match, offset) =>
+    (match === '_' || match === '*') && WORD_CHAR.test(text[offset - 1] ?? '') ? match : `\\${match}`
+  );
+
+// A paragraph that would read as a list or quote is escaped at its start
+const escapeLineStart = (line) => {
+  if (/^\d+\. /.test(line)) return line.replace('. ', '\\. ');
+  return /^(?:>|- |```)/.test(line) ? `\\${line}` : line;
+};
+
+// A code span's backticks outnumber any run of backticks inside it
+const codeMarker = (text) => '`'.repeat(Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length)) + 1);
+
+function markdownMarker(range, block) {
+  if (range.type === 'code') return codeMarker(block.text.slice(range.start, range.end));
+  return FORMATS[range.type]?.marker ?? '';
+}
+
+/**
+ * The document as markdown, in the same syntax the formatting toolbar
+ * writes. parseMarkdown(toMarkdown(doc)) gives back the same document.
+ */
+export function toMarkdown(doc) {
+  return doc.blocks.map((block) => {
+    if (block.type === BLOCK_TYPES.CODE_BLOCK) {
+      return `\`\`\`${block.language ?? ''}\n${block.text}\n\`\`\``;
+    }
+
+    const inline = renderInline(block, {
+      text: (segment, open) => {
+        if (open.some((range) => range.type === 'code' || isBareLink(range, block))) return segment;
+        return escapeMarkdown(segment);
+      },
+      open: (range) => {
+        if (range.type === ENTITY_TYPES.LINK) return isBareLink(range, block) ? '' : '[';
+        return markdownMarker(range, block);
+      },
+      close: (range) => {
+        if (range.type === ENTITY_TYPES.LINK) return isBareLink(range, block) ? '' : `](${range.href})`;
+        return markdownMarker(range, block);
+      },
+    });
+
+    switch (block.type) {
+      case BLOCK_TYPES.QUOTE:
+        return `> ${inline}`;
+      case BLOCK_TYPES.BULLET_ITEM:
+        return `- ${inline}`;
+      case BLOCK_TYPES.NUMBERED_ITEM:
+        return `${block.number}. ${inline}`;
+      default:
+        return escapeLineStart(inline);
+    }
+  }).join('\n');
+}
+
+/**
+ * The document as plain text, e.g. for notifications and search. Lists
+ * keep their bullets and numbers, and links their address.
+ */
+export function toPlainText(doc) {
+  return doc.blocks.map((block) => {
+    if (block.type === BLOCK_TYPES.CODE_BLOCK) return block.text;
+
+    const inline = renderInline(block, {
+      text: (segment) => segment,
+      open: () => '',
+      close: (range) =>
+        range.type === ENTITY_TYPES.LINK && !isBareLink(range, block) ? ` (${range.href})` : '',
+    });
+
+    switch (block.type) {
+      case BLOCK_TYPES.QUOTE:
+        return `> ${inline}`;
+      case BLOCK_TYPES.BULLET_ITEM:
+        return `• ${inline}`;
+      case BLOCK_TYPES.NUMBERED_ITEM:
+        return `${block.number}. ${inline}`;
+      default:
+        return inline;
+    }
+  }).join('\n');
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHTML = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const SAFE_HREF = /^(?:https?:|mailto:)/i;
+
+/**
+ * The link's address if it is safe to put in an href - http(s) and
+ * mailto only, so javascript: and data: links render as plain text.
+ */
+export const getSafeHref = (href) => (SAFE_HREF.test(href.trim()) ? href.trim() : null);
+
+const MARK_TAGS = { bold: 'strong', italic: 'em', strikethrough: 's', code: 'code' };
+
+function openTag(range) {
+  if (range.type === ENTITY_TYPES.LINK) {
+    const href = getSafeHref(range.href);
+    return href ? `<a href="${escapeHTML(href)}" rel="noopener noreferrer nofollow" target="_blank">` : '';
+  }
+  if (range.type === ENTITY_TYPES.MENTION) {
+    return `<span class="mention" data-user-id="${escapeHTML(range.userId)}">`;
+  }
+  return MARK_TAGS[range.type] ? `<${MARK_TAGS[range.type]}>` : '';
+}
+
+function closeTag(range) {
+  if (range.type === ENTITY_TYPES.LINK) return getSafeHref(range.href) ? '</a>' : '';
+  if (range.type === ENTITY_TYPES.MENTION) return '</span>';
+  return MARK_TAGS[range.type] ? `</${MARK_TAGS[range.type]}>` : '';
+}
+
+const renderInlineHTML = (block) => renderInline(block, { text: escapeHTML, open: openTag, close: closeTag });
+
+const GROUPED_BLOCKS = [BLOCK_TYPES.BULLET_ITEM, BLOCK_TYPES.NUMBERED_ITEM, BLOCK_TYPES.QUOTE];
+
+/**
+ * The blocks as renderers lay them out: consecutive list items share a
+ * list and consecutive quote lines a quote - [{ type, blocks }].
+ */
+export function groupBlocks(blocks) {
+  return blocks.reduce((groups, block) => {
+    const last = groups[groups.length - 1];
+    if (last && last.type === block.type && GROUPED_BLOCKS.includes(block.type)) {
+      last.blocks.push(block);
+    } else {
+      groups.push({ type: block.type, blocks: [block] });
+    }
+    return groups;
+  }, []);
+}
+
+const GROUPS = {
+  [BLOCK_TYPES.BULLET_ITEM]: (blocks) =>
+    `<ul>${blocks.map((block) => `<li>${renderInlineHTML(block)}</li>`).join('')}</ul>`,
+  [BLOCK_TYPES.NUMBERED_ITEM]: (blocks) => {
+    const start = blocks[0].number === 1 ? '' : ` start="${Number(blocks[0].number) || 1}"`;
+    return `<ol${start}>${blocks.map((block) => `<li>${renderInlineHTML(block)}</li>`).join('')}</ol>`;
+  },
+  [BLOCK_TYPES.QUOTE]: (blocks) =>
+    `<blockquote>${blocks.map(renderInlineHTML).join('<br>')}</blockquote>`,
+};
+
+/**
+ * The document as HTML. It is safe to inject as is: all text is escaped,
+ * only the tags above are produced, and links are limited to http(s) and
+ * mailto. Code is highlighted with <span class="token keyword"> etc.
+ */
+export function toHTML(doc) {
+  return groupBlocks(doc.blocks).map(({ type, blocks }) => {
+    if (GROUPS[type]) return GROUPS[type](blocks);
+
+    const [block] = blocks;
+    if (type === BLOCK_TYPES.CODE_BLOCK) {
+      const language = /^[\w+-]+$/.test(block.language ?? '') ? ` class="language-${block.language}"` : '';
+      const code = highlightCode(block.text, block.language).map(({ type, text }) => (
+        type === TOKEN_TYPES.PLAIN ? escapeHTML(text) : `<span class="token ${type}">${escapeHTML(text)}</span>`
+      )).join('');
+      return `<pre><code${language}>${code}</code></pre>`;
+    }
+    return block.text ? `<p>${renderInlineHTML(block)}</p>` : '<p><br></p>';
+  }).join('');
+}
+
+// ============================================================
+// Composer integration
+// ============================================================
+
+const selectContent = (state) => state.content;
+const selectMentions = (state) => state.metadata.mentions;
+
+/**
+ * The draft as a document, re-parsed when the content changes.
+ */
+export function useComposerDocument() {
+  const content = useComposerSelector(selectContent);
+  const mentions = useComposerSelector(selectMentions);
+  return useMemo(() => parseMarkdown(content, { mentions }), [content, mentions]);
+}
+
+/**
+ * Sends the message as a document too:
+ *
+ *   payload.doc:  the parsed content
+ *   payload.text: the same as plain text, for clients that can't render it
+ *
+ * Put it after mentionsPlugin, whose payload.mentions it picks up.
+ */
+export const richTextPlugin = {
+  name: 'richText',
+  beforeSubmit: (payload) => {
+    const doc = parseMarkdown(payload.content, {
+      mentions: payload.mentions ?? payload.metadata?.mentions,
+    });
+    return { ...payload, doc, text: toPlainText(doc) };
+  },
+};
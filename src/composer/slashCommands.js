@@ -0,0 +1,192 @@
+/**
+ * Slash Commands
+ * ==============
+ *
+ * A message starting with '/name' runs a command instead of being sent as
+ * typed. Commands live in a registry, and each composer gets the registry
+ * it needs (a channel has /topic, a thread doesn't):
+ *
+ * const commands = createCommandRegistry([shrugCommand, topicCommand]);
+ * <ComposerProvider plugins={[createSlashCommandsPlugin(commands)]}>
+ *   <ComposerInput />
+ *   <ComposerSlashCommands commands={commands} />
+ * </ComposerProvider>
+ *
+ * A command is a plain object:
+ *
+ * {
+ *   name: 'topic',
+ *   description: 'Set the channel topic',
+ *   args: '[new topic]',              // hint shown while typing
+ *   run({ name, args, argv, payload }) -> result (may be async)
+ * }
+ *
+ * `args` is the raw text after the name and `argv` the same split into
+ * words ("quoted phrases" stay together). run() returns:
+ * - { payload }  to send this payload instead
+ * - { error }    to send nothing and keep the draft, showing the message
+ * - nothing      when the command did its job instead of sending a
+ *                message; the draft is cleared
+ *
+ * Start a message with '//' to send it as text ("//shrug" -> "/shrug").
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { SUBMIT_HANDLED } from './composerPlugins';
+
+const COMMAND_PATTERN = /^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i;
+const ARG_PATTERN = /"([^"]*)"|(\S+)/g;
+
+/**
+ * Split command arguments into words, keeping "quoted phrases" together.
+ */
+export function splitCommandArgs(args) {
+  return [...args.matchAll(ARG_PATTERN)].map(([, quoted, word]) => quoted ?? word);
+}
+
+/**
+ * The command the content starts with, as { name, args, argv }, or null.
+ */
+export function parseCommand(content) {
+  const match = COMMAND_PATTERN.exec(content);
+  if (!match) return null;
+
+  const args = (match[2] ?? '').trim();
+  return { name: match[1].toLowerCase(), args, argv: splitCommandArgs(args) };
+}
+
+/**
+ * A set of commands by name. `search` is stable, so it can be handed to
+ * useAutocomplete as a source directly.
+ */
+export function createCommandRegistry(initialCommands = []) {
+  const commands = new Map(initialCommands.map((command) => [command.name, command]));
+
+  return {
+    get: (name) => commands.get(name) ?? null,
+    list: () => [...commands.values()],
+
+    // Returns a function that removes the command again
+    register(command) {
+      commands.set(command.name, command);
+      return () => {
+        if (commands.get(command.name) === command) commands.delete(command.name);
+      };
+    },
+
+    // Commands whose name starts with `query`, in registration order
+    search: (query) =>
+      [...commands.values()].filter((command) => command.name.startsWith(query.toLowerCase())),
+  };
+}
+
+export const SLASH_COMMANDS_PLUGIN = 'slashCommands';
+
+/**
+ * Runs the command a submitted message starts with. Its state holds the
+ * last command error, with the draft content it belongs to:
+ * pluginState.slashCommands.error = { message, content } | null
+ */
+export function createSlashCommandsPlugin(registry) {
+  return {
+    name: SLASH_COMMANDS_PLUGIN,
+    initialState: { error: null },
+
+    onReset: (ctx) => ctx.setState({ error: null }),
+
+    async beforeSubmit(payload, ctx) {
+      const fail = (message) => {
+        ctx.setState({ error: { message, content: ctx.getDraft().content } });
+        return false;
+      };
+      ctx.setState({ error: null });
+
+      if (payload.content.startsWith('//')) {
+        return { ...payload, content: payload.content.slice(1) };
+      }
+
+      const command = parseCommand(payload.content);
+      if (!command) return payload;
+
+      const definition = registry.get(command.name);
+      if (!definition) {
+        return fail(`/${command.name} isn't a command here. Start with // to send it as text.`);
+      }
+
+      const result = await definition.run({ ...command, payload });
+      if (!result) return SUBMIT_HANDLED;
+      if (result.error) return fail(result.error);
+      return result.payload;
+    },
+  };
+}
+
+// ============================================================
+// Ready-made commands
+// ============================================================
+
+const SHRUG = '¯\\_(ツ)_/¯';
+
+export const shrugCommand = {
+  name: 'shrug',
+  description: `Append ${SHRUG} to your message`,
+  args: '[message]',
+  run: ({ args, payload }) => ({
+    payload: { ...payload, content: args ? `${args} ${SHRUG}` : SHRUG },
+  }),
+};
+
+export const topicCommand = {
+  name: 'topic',
+  description: 'Set the channel topic',
+  args: '[new topic]',
+  run: ({ args, payload }) =>
+    args
+      ? { payload: { ...payload, content: `set the channel topic: ${args}`, topic: args } }
+      : { error: 'Usage: /topic [new topic]' },
+};
+
+export const pollCommand = {
+  name: 'poll',
+  description: 'Ask a question with options to vote on',
+  args: '"question" "option 1" "option 2" ...',
+  run: ({ argv, payload }) => {
+    const [question, ...options] = argv;
+    if (!question || options.length < 2) {
+      return { error: 'A poll needs a question and at least two options: /poll "Lunch?" "Pizza" "Sushi"' };
+    }
+    return { payload: { ...payload, content: question, poll: { question, options } } };
+  },
+};
+
+const REMIND_PATTERN = /^(me|@\S+)\s+(?:to\s+)?(.+?)\s+in\s+(\d+)\s*(second|minute|hour|day)s?$/i;
+const UNIT_MS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+// The longest delay setTimeout takes (~24.8 days); longer ones fire at once
+const MAX_REMIND_DELAY = 2 ** 31 - 1;
+
+/**
+ * /remind me to stretch in 10 minutes - runs instead of sending a message.
+ * `schedule({ who, what, at })` sets up the reminder, at most 24 days ahead.
+ */
+export function createRemindCommand(schedule) {
+  return {
+    name: 'remind',
+    description: 'Set a reminder',
+    args: '[me|@someone] [what] in [number] [minutes|hours|days]',
+    run: ({ args }) => {
+      const match = REMIND_PATTERN.exec(args);
+      if (!match) {
+        return { error: 'Usage: /remind [me|@someone] [what] in [number] [minutes|hours|days]' };
+      }
+
+      const [, who, what, amount, unit] = match;
+      const delay = Number(amount) * UNIT_MS[unit.toLowerCase()];
+      if (delay > MAX_REMIND_DELAY) {
+        return { error: 'Reminders can be set at most 24 days ahead' };
+      }
+      schedule({ who, what, at: Date.now() + delay });
+      return undefined;
+    },
+  };
+}
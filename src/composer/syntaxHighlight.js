@@ -0,0 +1,166 @@
+/**
+ * Code Highlighting
+ * =================
+ *
+ * A small tokenizer for the code blocks in messages - enough to color the
+ * keywords, strings, comments and numbers of the languages people paste
+ * most, without shipping a grammar library:
+ *
+ * highlightCode('const a = 1;', 'js')
+ * // [{ type: 'keyword', text: 'const' }, { type: 'plain', text: ' a = ' },
+ * //  { type: 'number', text: '1' }, { type: 'plain', text: ';' }]
+ *
+ * Joining the tokens' text always gives back the code. Unknown or missing
+ * languages are tokenized like C-family code.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+export const TOKEN_TYPES = Object.freeze({
+  KEYWORD: 'keyword',
+  STRING: 'string',
+  COMMENT: 'comment',
+  NUMBER: 'number',
+  PLAIN: 'plain',
+});
+
+const C_LIKE = {
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  quotes: ['"', "'"],
+  keywords: [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum', 'extends',
+    'false', 'final', 'finally', 'for', 'if', 'import', 'interface', 'new', 'null', 'package', 'private',
+    'protected', 'public', 'return', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'void', 'while',
+  ],
+};
+
+const LANGUAGES = {
+  clike: C_LIKE,
+  js: {
+    ...C_LIKE,
+    quotes: ['"', "'", '`'],
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+      'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if',
+      'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super',
+      'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield',
+    ],
+  },
+  python: {
+    lineComment: '#',
+    quotes: ['"', "'"],
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+      'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+      'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while', 'with', 'yield',
+    ],
+  },
+  bash: {
+    lineComment: '#',
+    quotes: ['"', "'"],
+    keywords: [
+      'case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function', 'if',
+      'in', 'local', 'return', 'then', 'while',
+    ],
+  },
+  json: {
+    quotes: ['"'],
+    keywords: ['true', 'false', 'null'],
+  },
+  css: {
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    keywords: ['important', 'inherit', 'initial', 'none', 'auto'],
+  },
+  sql: {
+    lineComment: '--',
+    blockComment: ['/*', '*/'],
+    quotes: ["'"],
+    ignoreCase: true,
+    keywords: [
+      'and', 'as', 'asc', 'by', 'create', 'delete', 'desc', 'distinct', 'drop', 'from', 'group', 'having',
+      'insert', 'into', 'join', 'left', 'limit', 'not', 'null', 'on', 'or', 'order', 'right', 'select',
+      'set', 'table', 'update', 'values', 'where',
+    ],
+  },
+};
+
+const ALIASES = {
+  javascript: 'js', jsx: 'js', mjs: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+  py: 'python',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  scss: 'css',
+  c: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike', java: 'clike', go: 'clike',
+  kotlin: 'clike', swift: 'clike', rust: 'clike', php: 'clike',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One alternation per language; compiled on first use
+const grammars = new Map();
+
+function getGrammar(language) {
+  const key = language?.toLowerCase() ?? '';
+  const name = LANGUAGES[key] ? key : ALIASES[key] ?? 'clike';
+  if (grammars.has(name)) return grammars.get(name);
+
+  const { lineComment, blockComment, quotes, keywords, ignoreCase = false } = LANGUAGES[name];
+  const comments = [
+    lineComment && `${escapeRegExp(lineComment)}.*`,
+    blockComment && `${escapeRegExp(blockComment[0])}[\\s\\S]*?(?:${escapeRegExp(blockComment[1])}|$)`,
+  ].filter(Boolean);
+  // Template strings may span lines, other strings end with theirs
+  const strings = quotes.map((quote) =>
+    quote === '`' ? '`(?:\\\\[\\s\\S]|[^\\\\`])*`?' : `${quote}(?:\\\\.|[^\\\\${quote}\\n])*${quote}?`
+  );
+
+  const grammar = {
+    pattern: new RegExp(
+      [
+        comments.length > 0 && `(?<comment>${comments.join('|')})`,
+        `(?<string>${strings.join('|')})`,
+        '(?<number>\\b(?:0x[\\da-f]+|\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?)\\b)',
+        '(?<word>[A-Za-z_$][\\w$]*)',
+      ].filter(Boolean).join('|'),
+      'gi'
+    ),
+    keywords: new Set(ignoreCase ? keywords.map((keyword) => keyword.toLowerCase()) : keywords),
+    ignoreCase,
+  };
+  grammars.set(name, grammar);
+  return grammar;
+}
+
+/**
+ * The code as a list of { type, text } tokens, see TOKEN_TYPES.
+ */
+export function highlightCode(code, language) {
+  const { pattern, keywords, ignoreCase } = getGrammar(language);
+  const tokens = [];
+
+  const push = (type, text) => {
+    if (!text) return;
+    const last = tokens[tokens.length - 1];
+    if (last?.type === type && type === TOKEN_TYPES.PLAIN) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    push(TOKEN_TYPES.PLAIN, code.slice(last, match.index));
+    const { comment, string, number, word } = match.groups;
+    if (comment) push(TOKEN_TYPES.COMMENT, comment);
+    else if (string) push(TOKEN_TYPES.STRING, string);
+    else if (number) push(TOKEN_TYPES.NUMBER, number);
+    else push(keywords.has(ignoreCase ? word.toLowerCase() : word) ? TOKEN_TYPES.KEYWORD : TOKEN_TYPES.PLAIN, word);
+    last = match.index + match[0].length;
+  }
+  push(TOKEN_TYPES.PLAIN, code.slice(last));
+
+  return tokens;
+}
@@ -6,6 +6,8 @@
  * in component files.
  */
 
+import { SUBMIT_STATUS } from './ComposerContextValue';
+
 /**
  * Create a mock function for testing
  * Used in place of jest.fn() for non-test environments
@@ -29,13 +31,50 @@ export const createMockComposerValue = (overrides = {}) => ({
   content: 'Test message',
   attachments: [],
   metadata: {},
+  selection: { start: 12, end: 12 },
+  status: SUBMIT_STATUS.IDLE,
+  error: null,
   isSubmitting: false,
+  errors: {},
+  canSubmit: true,
+  limitStatus: { count: 12, soft: null, hard: null, remaining: null, level: 'ok' },
+  canUndo: false,
+  canRedo: false,
+  pluginState: {},
+  attachmentErrors: [],
+  uploads: {},
+  previews: {},
+  linkPreviews: [],
   updateContent: createMockFn(),
+  insertAtCursor: createMockFn(),
+  replaceRange: createMockFn(),
+  wrapSelection: createMockFn(),
+  applyEdit: createMockFn(),
   addAttachment: createMockFn(),
+  addFiles: createMockFn(),
   removeAttachment: createMockFn(),
+  clearAttachmentErrors: createMockFn(),
+  reorderAttachments: createMockFn(),
+  setAttachmentCaption: createMockFn(),
+  cancelUpload: createMockFn(),
+  retryUpload: createMockFn(),
+  dismissLinkPreview: createMockFn(),
   updateMetadata: createMockFn(),
   submit: createMockFn(),
+  retry: createMockFn(),
   reset: createMockFn(),
+  undo: createMockFn(),
+  redo: createMockFn(),
+  focus: createMockFn(),
+  blur: createMockFn(),
+  registerInput: createMockFn(),
+  setSelection: createMockFn(),
+  handleKeyDown: createMockFn(),
+  handleFocus: createMockFn(),
+  handleBlur: createMockFn(),
+  registerKeyBinding: () => () => {},
+  pluginActions: {},
+  transformContent: (content) => content,
   ...overrides,
 });
 
@@ -46,11 +85,48 @@ export const createDefaultMockComposerValue = () => ({
   content: '',
   attachments: [],
   metadata: {},
+  selection: { start: 0, end: 0 },
+  status: SUBMIT_STATUS.IDLE,
+  error: null,
   isSubmitting: false,
+  errors: { content: ['Message cannot be empty'] },
+  canSubmit: false,
+  limitStatus: { count: 0, soft: null, hard: null, remaining: null, level: 'ok' },
+  canUndo: false,
+  canRedo: false,
+  pluginState: {},
+  attachmentErrors: [],
+  uploads: {},
+  previews: {},
+  linkPreviews: [],
   updateContent: createMockFn(),
+  insertAtCursor: createMockFn(),
+  replaceRange: createMockFn(),
+  wrapSelection: createMockFn(),
+  applyEdit: createMockFn(),
   addAttachment: createMockFn(),
+  addFiles: createMockFn(),
   removeAttachment: createMockFn(),
+  clearAttachmentErrors: createMockFn(),
+  reorderAttachments: createMockFn(),
+  setAttachmentCaption: createMockFn(),
+  cancelUpload: createMockFn(),
+  retryUpload: createMockFn(),
+  dismissLinkPreview: createMockFn(),
   updateMetadata: createMockFn(),
   submit: createMockFn(),
+  retry: createMockFn(),
   reset: createMockFn(),
+  undo: createMockFn(),
+  redo: createMockFn(),
+  focus: createMockFn(),
+  blur: createMockFn(),
+  registerInput: createMockFn(),
+  setSelection: createMockFn(),
+  handleKeyDown: createMockFn(),
+  handleFocus: createMockFn(),
+  handleBlur: createMockFn(),
+  registerKeyBinding: () => () => {},
+  pluginActions: {},
+  transformContent: (content) => content,
 });
@@ -0,0 +1,111 @@
+/**
+ * Text Stats and Length Limits
+ * ============================
+ *
+ * Counts what a person sees, not UTF-16 code units: '👍🏽' and 'é' (e +
+ * combining accent) are one character each, and 'can't' is one word.
+ * Intl.Segmenter does the splitting where available.
+ *
+ * A composer's `limits` (ComposerProvider prop) bound the content length:
+ *
+ * { soft: 1800, hard: 2000 }   // both optional
+ *
+ * Past `soft` the length is a warning; past `hard` it is an error on
+ * `content`, so the draft can't be sent. The provider exposes where the
+ * draft stands as `limitStatus`:
+ *
+ * { count, soft, hard, remaining, level }   // level: 'ok' | 'warning' | 'over'
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { useMemo } from 'react';
+import { useComposerSelector } from './ComposerContextValue';
+
+export const LIMIT_LEVELS = Object.freeze({
+  OK: 'ok',
+  WARNING: 'warning',
+  OVER: 'over',
+});
+
+const segmenters = {};
+
+// A shared Intl.Segmenter, or null where the browser has none
+function getSegmenter(granularity) {
+  if (!(granularity in segmenters)) {
+    segmenters[granularity] = typeof Intl !== 'undefined' && Intl.Segmenter
+      ? new Intl.Segmenter(undefined, { granularity })
+      : null;
+  }
+  return segmenters[granularity];
+}
+
+/**
+ * The number of user-perceived characters (grapheme clusters). Without
+ * Intl.Segmenter it falls back to code points, which still counts most
+ * emoji as one.
+ */
+export function countGraphemes(text) {
+  const segmenter = getSegmenter('grapheme');
+  return segmenter ? [...segmenter.segment(text)].length : Array.from(text).length;
+}
+
+/**
+ * The number of words, in any script that Intl.Segmenter knows.
+ */
+export function countWords(text) {
+  const segmenter = getSegmenter('word');
+  if (!segmenter) return text.split(/\s+/).filter(Boolean).length;
+  return [...segmenter.segment(text)].filter((segment) => segment.isWordLike).length;
+}
+
+/**
+ * { characters, words, lines } of the text.
+ */
+export function getTextStats(text) {
+  return {
+    characters: countGraphemes(text),
+    words: countWords(text),
+    lines: text ? text.split('\n').length : 0,
+  };
+}
+
+/**
+ * Where `content` stands against `limits` ({ soft, hard }).
+ */
+export function getLimitStatus(content, { soft = null, hard = null } = {}) {
+  const count = countGraphemes(content);
+  let level = LIMIT_LEVELS.OK;
+  if (hard !== null && count > hard) level = LIMIT_LEVELS.OVER;
+  else if (soft !== null && count > soft) level = LIMIT_LEVELS.WARNING;
+
+  return {
+    count,
+    soft,
+    hard,
+    remaining: hard === null ? null : hard - count,
+    level,
+  };
+}
+
+/**
+ * The validation errors for a limit status - a content error past the
+ * hard limit.
+ */
+export function getLimitErrors({ level, remaining }) {
+  if (level !== LIMIT_LEVELS.OVER) return {};
+  const over = -remaining;
+  return {
+    content: [`Message is ${over} ${over === 1 ? 'character' : 'characters'} too long`],
+  };
+}
+
+const selectContent = (state) => state.content;
+
+/**
+ * The draft's text stats, recounted only when the content changes.
+ */
+export function useComposerTextStats() {
+  const content = useComposerSelector(selectContent);
+  return useMemo(() => getTextStats(content), [content]);
+}
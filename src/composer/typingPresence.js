@@ -0,0 +1,197 @@
+/**
+ * Typing Presence
+ * ===============
+ *
+ * With `presence` (ComposerProvider prop), a composer tells the other
+ * people in its conversation when its user is typing:
+ *
+ * presence = {
+ *   transport,                        // see below
+ *   conversationId: 'channel:general',
+ *   user: { id: 'u1', name: 'Ada' },
+ *   throttle: 3000,                   // optional, ms between repeated "typing"
+ *   idleTimeout: 5000,                // optional, ms without typing until "stopped"
+ * }
+ *
+ * "typing" is sent on the first keystroke and repeated at most every
+ * `throttle` ms while typing goes on; "stopped" is sent after `idleTimeout`
+ * ms without typing, on submit, on blur and when the draft is cleared.
+ *
+ * A transport carries these events both ways:
+ *
+ * {
+ *   sendTyping({ conversationId, user, typing }),
+ *   subscribe(conversationId, (event) => void) -> unsubscribe,  // event: { user, typing }
+ * }
+ *
+ * and ComposerTypingUsers shows who else is typing in a conversation.
+ * Someone whose "typing" isn't repeated (they closed the tab) drops off
+ * after `expireAfter` ms.
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+import { useMemo, useSyncExternalStore } from 'react';
+
+export const DEFAULT_TYPING_THROTTLE = 3000;
+export const DEFAULT_TYPING_IDLE_TIMEOUT = 5000;
+export const DEFAULT_TYPING_EXPIRY = 2 * DEFAULT_TYPING_THROTTLE;
+
+/**
+ * Turns keystrokes into throttled typing events for one user in one
+ * conversation. typed() on every edit, stop() when the user is done.
+ */
+export function createTypingReporter({
+  transport,
+  conversationId,
+  user,
+  throttle = DEFAULT_TYPING_THROTTLE,
+  idleTimeout = DEFAULT_TYPING_IDLE_TIMEOUT,
+}) {
+  let typing = false;
+  let lastSentAt = 0;
+  let idleTimer = null;
+
+  const send = (isTyping) => {
+    lastSentAt = Date.now();
+    transport.sendTyping({ conversationId, user, typing: isTyping });
+  };
+
+  const stop = () => {
+    clearTimeout(idleTimer);
+    if (!typing) return;
+    typing = false;
+    send(false);
+  };
+
+  return {
+    typed() {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(stop, idleTimeout);
+      if (typing && Date.now() - lastSentAt < throttle) return;
+      typing = true;
+      send(true);
+    },
+
+    stop,
+
+    isTyping: () => typing,
+  };
+}
+
+/**
+ * Who is typing in a conversation, as [{ id, name }] in the order they
+ * started. It listens to the transport only while it has subscribers.
+ */
+export function createTypingUsersStore({ transport, conversationId, expireAfter = DEFAULT_TYPING_EXPIRY }) {
+  let state = [];
+  const listeners = new Set();
+  const expiryTimers = new Map();
+  let unsubscribeTransport = null;
+
+  const setState = (next) => {
+    state = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  const remove = (userId) => {
+    clearTimeout(expiryTimers.get(userId));
+    expiryTimers.delete(userId);
+    if (state.some((user) => user.id === userId)) setState(state.filter((user) => user.id !== userId));
+  };
+
+  const handleEvent = ({ user, typing }) => {
+    if (!typing) {
+      remove(user.id);
+      return;
+    }
+    clearTimeout(expiryTimers.get(user.id));
+    expiryTimers.set(user.id, setTimeout(() => remove(user.id), expireAfter));
+    if (!state.some((typingUser) => typingUser.id === user.id)) setState([...state, user]);
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe(listener) {
+      if (listeners.size === 0) {
+        unsubscribeTransport = transport.subscribe(conversationId, handleEvent);
+      }
+      listeners.add(listener);
+
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size > 0) return;
+        unsubscribeTransport?.();
+        unsubscribeTransport = null;
+        expiryTimers.forEach((timer) => clearTimeout(timer));
+        expiryTimers.clear();
+        state = [];
+      };
+    },
+  };
+}
+
+// One store per conversation and transport, shared by everything showing it
+const typingUsersStores = new WeakMap();
+
+export function getTypingUsersStore(transport, conversationId) {
+  if (!typingUsersStores.has(transport)) typingUsersStores.set(transport, new Map());
+  const stores = typingUsersStores.get(transport);
+  if (!stores.has(conversationId)) {
+    stores.set(conversationId, createTypingUsersStore({ transport, conversationId }));
+  }
+  return stores.get(conversationId);
+}
+
+/**
+ * The people typing in a conversation, leaving out `currentUserId`.
+ */
+export function useTypingUsers(transport, conversationId, { currentUserId } = {}) {
+  const store = getTypingUsersStore(transport, conversationId);
+  const users = useSyncExternalStore(store.subscribe, store.getState);
+  return useMemo(() => users.filter((user) => user.id !== currentUserId), [users, currentUserId]);
+}
+
+/**
+ * 'Ada is typing…', 'Ada and Grace are typing…',
+ * 'Ada and 2 others are typing…' - or '' when nobody is.
+ */
+export function formatTypingUsers(users) {
+  const [first, second] = users.map((user) => user.name);
+  switch (users.length) {
+    case 0:
+      return '';
+    case 1:
+      return `${first} is typing…`;
+    case 2:
+      return `${first} and ${second} are typing…`;
+    default:
+      return `${first} and ${users.length - 1} others are typing…`;
+  }
+}
+
+// ============================================================
+// In-memory transport for tests and demos
+// ============================================================
+
+/**
+ * Delivers typing events to every subscriber of the conversation in the
+ * same page - composers for different users in one conversation see each
+ * other type. sendTyping() also stands in for other people typing.
+ */
+export function createMemoryPresenceTransport() {
+  const subscribers = new Map();
+
+  return {
+    sendTyping({ conversationId, user, typing }) {
+      subscribers.get(conversationId)?.forEach((listener) => listener({ user, typing }));
+    },
+
+    subscribe(conversationId, listener) {
+      if (!subscribers.has(conversationId)) subscribers.set(conversationId, new Set());
+      subscribers.get(conversationId).add(listener);
+      return () => subscribers.get(conversationId)?.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Attachment Uploads
+ * ==================
+ *
+ * With an `uploader` (ComposerProvider prop), every attachment that holds
+ * a File is uploaded as soon as it is added. An uploader is any object
+ * with one method:
+ *
+ *   upload(file, { signal, onProgress }) -> Promise<result>
+ *
+ * `onProgress(fraction)` reports 0..1, `signal` aborts the upload, and
+ * `result` (e.g. { url }) is merged into the draft's attachment once the
+ * upload is done - so a saved draft keeps it - and the File itself is left
+ * out when the message is sent.
+ *
+ * The upload state lives next to the draft, not in it, so progress
+ * doesn't touch undo history or saved drafts:
+ *
+ * uploads[attachmentId] = { status, progress, error }
+ *
+ * Separated into its own file to enable Fast Refresh in development.
+ */
+
+export const UPLOAD_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+});
+
+export const DEFAULT_UPLOAD_CONCURRENCY = 3;
+
+const isPending = (upload) =>
+  upload.status === UPLOAD_STATUS.QUEUED || upload.status === UPLOAD_STATUS.UPLOADING;
+
+/**
+ * Keeps the uploads in step with the draft's attachments: sync() starts
+ * uploading new files (at most `concurrency` at a time) and aborts the
+ * uploads of attachments that are gone. Without an uploader it does
+ * nothing, and attachments are sent with their File.
+ */
+export function createUploadManager({ uploader, concurrency = DEFAULT_UPLOAD_CONCURRENCY }) {
+  let state = {};
+  const listeners = new Set();
+  // Per attachment: { file, result, controller }
+  const jobs = new Map();
+  let settledWaiters = [];
+  const uploadedListeners = new Set();
+
+  const setUpload = (id, patch) => {
+    state = patch ? { ...state, [id]: { ...state[id], ...patch } } : omit(state, id);
+    listeners.forEach((listener) => listener());
+
+    if (!Object.values(state).some(isPending)) {
+      settledWaiters.forEach((resolve) => resolve());
+      settledWaiters = [];
+    }
+  };
+
+  const startNext = () => {
+    const running = Object.values(state).filter((upload) => upload.status === UPLOAD_STATUS.UPLOADING).length;
+    const queued = Object.keys(state).filter((id) => state[id].status === UPLOAD_STATUS.QUEUED);
+    queued.slice(0, Math.max(concurrency - running, 0)).forEach(run);
+  };
+
+  const run = (id) => {
+    const job = jobs.get(id);
+    const controller = new AbortController();
+    job.controller = controller;
+    setUpload(id, { status: UPLOAD_STATUS.UPLOADING, progress: 0, error: null });
+
+    Promise.resolve()
+      .then(() => uploader.upload(job.file, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) setUpload(id, { progress: Math.min(Math.max(progress, 0), 1) });
+        },
+      }))
+      .then(
+        (result) => {
+          if (controller.signal.aborted) return;
+          job.result = result;
+          setUpload(id, { status: UPLOAD_STATUS.DONE, progress: 1 });
+          if (result) uploadedListeners.forEach((listener) => listener(id, result));
+        },
+        (error) => {
+          if (controller.signal.aborted) return;
+          setUpload(id, { status: UPLOAD_STATUS.FAILED, error: error?.message || 'Upload failed' });
+        }
+      )
+      .finally(() => {
+        if (job.controller === controller) job.controller = null;
+        startNext();
+      });
+  };
+
+  const abort = (id) => {
+    const job = jobs.get(id);
+    job?.controller?.abort();
+    if (job) job.controller = null;
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Start uploads for new files and drop the ones no longer attached
+    sync(attachments) {
+      if (!uploader) return;
+      const current = new Map(
+        attachments.filter((attachment) => attachment.file).map((attachment) => [attachment.id, attachment])
+      );
+
+      [...jobs.keys()].forEach((id) => {
+        if (current.has(id)) return;
+        abort(id);
+        jobs.delete(id);
+        setUpload(id, null);
+      });
+
+      current.forEach((attachment, id) => {
+        if (jobs.has(id)) return;
+        jobs.set(id, { file: attachment.file, result: null, controller: null });
+        setUpload(id, { status: UPLOAD_STATUS.QUEUED, progress: 0, error: null });
+      });
+
+      startNext();
+    },
+
+    // listener(attachmentId, result) for every finished upload
+    onUploaded(listener) {
+      uploadedListeners.add(listener);
+      return () => uploadedListeners.delete(listener);
+    },
+
+    // Stop an upload; it stays attached as failed, so it can be retried
+    cancel(id) {
+      if (!isPending(state[id] ?? {})) return;
+      abort(id);
+      setUpload(id, { status: UPLOAD_STATUS.FAILED, error: 'Upload cancelled' });
+      startNext();
+    },
+
+    retry(id) {
+      if (state[id]?.status !== UPLOAD_STATUS.FAILED) return;
+      setUpload(id, { status: UPLOAD_STATUS.QUEUED, progress: 0, error: null });
+      startNext();
+    },
+
+    // Resolves once nothing is queued or uploading
+    whenSettled() {
+      if (!Object.values(state).some(isPending)) return Promise.resolve();
+      return new Promise((resolve) => {
+        settledWaiters.push(resolve);
+      });
+    },
+
+    // The attachment as it should be sent: the upload result instead of the File
+    resolveAttachment(attachment) {
+      const job = jobs.get(attachment.id);
+      if (!job?.result) return attachment;
+      const { file: _file, ...descriptor } = attachment;
+      return { ...descriptor, ...job.result };
+    },
+
+    // Abort everything, e.g. when the composer unmounts
+    destroy() {
+      [...jobs.keys()].forEach(abort);
+      jobs.clear();
+      state = {};
+      settledWaiters.forEach((resolve) => resolve());
+      settledWaiters = [];
+    },
+  };
+}
+
+function omit(object, key) {
+  const { [key]: _omitted, ...rest } = object;
+  return rest;
+}
+
+/**
+ * Validation errors for uploads that keep the draft from being sent:
+ * failed ones always, unfinished ones unless submit() may wait for them.
+ */
+export function getUploadErrors(attachments, uploads, { waitForUploads = true } = {}) {
+  const failed = attachments.filter((attachment) => uploads[attachment.id]?.status === UPLOAD_STATUS.FAILED);
+  const pending = attachments.filter((attachment) => uploads[attachment.id] && isPending(uploads[attachment.id]));
+  const messages = [];
+
+  if (failed.length > 0) {
+    messages.push(
+      failed.length === 1
+        ? `"${failed[0].name}" didn't upload - retry or remove it`
+        : `${failed.length} files didn't upload - retry or remove them`
+    );
+  }
+  if (!waitForUploads && pending.length > 0) {
+    messages.push(`Wait for ${pending.length === 1 ? 'the upload' : `${pending.length} uploads`} to finish`);
+  }
+  return messages.length > 0 ? { attachments: messages } : {};
+}
+
+// ============================================================
+// In-memory uploader for tests and demos
+// ============================================================
+
+const abortError = () => new DOMException('The upload was aborted', 'AbortError');
+
+/**
+ * Pretends to upload: reports progress in `steps` over `duration` ms and
+ * keeps the files in memory under 'memory://<n>' urls. `shouldFail(file)`
+ * makes chosen uploads fail (e.g. to try retry).
+ */
+export function createFakeUploader({ duration = 1000, steps = 10, shouldFail = () => false } = {}) {
+  const files = new Map();
+  let uploaded = 0;
+
+  return {
+    files,
+
+    upload(file, { signal, onProgress } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+
+        let step = 0;
+        const timer = setInterval(() => {
+          step += 1;
+          onProgress?.(step / steps);
+          if (step < steps) return;
+
+          clearInterval(timer);
+          if (shouldFail(file)) {
+            reject(new Error(`Couldn't upload "${file.name}"`));
+            return;
+          }
+          uploaded += 1;
+          const url = `memory://${uploaded}`;
+          files.set(url, file);
+          resolve({ url });
+        }, duration / steps);
+
+        signal?.addEventListener('abort', () => {
+          clearInterval(timer);
+          reject(abortError());
+        });
+      });
+    },
+  };
+}
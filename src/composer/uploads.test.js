@@ -0,0 +1,48 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createFakeUploader, createUploadManager, UPLOAD_STATUS } from './uploads';
+
+const file = { name: 'photo.png', type: 'image/png', size: 3 };
+const attachment = { id: 'a1', file, name: file.name, type: file.type, size: file.size };
+
+describe('createUploadManager', () => {
+  it('reports each finished upload with its result', async () => {
+    const manager = createUploadManager({ uploader: createFakeUploader({ duration: 10, steps: 1 }) });
+    const onUploaded = vi.fn();
+    manager.onUploaded(onUploaded);
+
+    manager.sync([attachment]);
+    await manager.whenSettled();
+
+    expect(manager.getState().a1.status).toBe(UPLOAD_STATUS.DONE);
+    expect(onUploaded).toHaveBeenCalledWith('a1', { url: 'memory://1' });
+  });
+
+  it('sends the upload result instead of the File', async () => {
+    const manager = createUploadManager({ uploader: createFakeUploader({ duration: 10, steps: 1 }) });
+
+    manager.sync([attachment]);
+    await manager.whenSettled();
+
+    expect(manager.resolveAttachment(attachment)).toEqual({
+      id: 'a1',
+      name: 'photo.png',
+      type: 'image/png',
+      size: 3,
+      url: 'memory://1',
+    });
+  });
+
+  it("doesn't report a failed upload", async () => {
+    const manager = createUploadManager({
+      uploader: createFakeUploader({ duration: 10, steps: 1, shouldFail: () => true }),
+    });
+    const onUploaded = vi.fn();
+    manager.onUploaded(onUploaded);
+
+    manager.sync([attachment]);
+    await manager.whenSettled();
+
+    expect(manager.getState().a1.status).toBe(UPLOAD_STATUS.FAILED);
+    expect(onUploaded).not.toHaveBeenCalled();
+  });
+});